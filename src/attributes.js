@@ -0,0 +1,75 @@
+import { normalizeSpace, toSnakeCase } from './utils.js';
+
+// ─── Custom block attributes ──────────────────────────────────────────────────
+// Employers put travel, shift, sponsorship, contract and similar details in
+// free-form custom blocks. These become one `attributes` map with snake_case keys
+// and, where the value is recognizable, typed values.
+
+// Labels whose plain snake_case name would be vague or inconsistent between employers
+export const DEFAULT_ATTRIBUTE_MAPPING = {
+    travel: 'travel_percent',
+    'travel required': 'travel_percent',
+    'travel requirements': 'travel_percent',
+    'percent travel': 'travel_percent',
+    sponsorship: 'clearance_sponsorship',
+    'clearance sponsorship': 'clearance_sponsorship',
+    'will sponsor clearance': 'clearance_sponsorship',
+    contract: 'contract_name',
+    'job category': 'category',
+    'shift schedule': 'shift',
+    posted: 'posted_date',
+};
+
+const YES = /^(?:yes|y|true)$/i;
+const NO = /^(?:no|n|false|none)$/i;
+const PERCENT_RE = /(\d{1,3}(?:\.\d+)?)\s*%/g;
+const BARE_PERCENT_RE = /^(?:up to\s+|<=?\s*)?\d{1,3}(?:\.\d+)?\s*%$/i;
+
+function labelKey(label) {
+    return normalizeSpace(String(label)).toLowerCase();
+}
+
+/**
+ * Defaults overlaid with the user's `{ "Label": "field_name" }` mapping; labels match
+ * case-insensitively and a null / empty field name drops the label.
+ */
+export function createAttributeMapping(overrides = {}) {
+    const mapping = { ...DEFAULT_ATTRIBUTE_MAPPING };
+    for (const [label, field] of Object.entries(overrides || {})) {
+        mapping[labelKey(label)] = field ? toSnakeCase(field) : null;
+    }
+    return mapping;
+}
+
+/**
+ * Type a block value: yes / no become booleans, travel and bare percentages become
+ * a number (the highest percentage given, 0 for "None"), anything else stays text.
+ */
+export function typeAttributeValue(key, value) {
+    if (typeof value !== 'string') return value;
+    const text = normalizeSpace(value);
+    const percents = [...text.matchAll(PERCENT_RE)].map((m) => Number(m[1]));
+    if (/travel|percent/.test(key)) {
+        if (percents.length) return Math.max(...percents);
+        if (NO.test(text)) return 0;
+    }
+    if (BARE_PERCENT_RE.test(text)) return percents[0];
+    if (YES.test(text)) return true;
+    if (NO.test(text)) return false;
+    return text;
+}
+
+/**
+ * The `attributes` map for a record's custom blocks (`{ label, value }` pairs).
+ * When two labels map to the same field the first one wins.
+ */
+export function buildAttributes(blocks, mapping = DEFAULT_ATTRIBUTE_MAPPING) {
+    const attributes = {};
+    for (const { label, value } of blocks) {
+        const mapped = mapping[labelKey(label)];
+        const key = mapped === undefined ? toSnakeCase(label) : mapped;
+        if (!key || key in attributes) continue;
+        attributes[key] = typeAttributeValue(key, value);
+    }
+    return attributes;
+}
@@ -0,0 +1,105 @@
+import { Actor, log } from 'apify';
+
+import { hashSearchParams } from './search.js';
+
+export const CHECKPOINT_KEY = 'CHECKPOINT';
+export const CHECKPOINT_STATE_KEY = 'CHECKPOINT-STATE';
+
+// Dedup keys of pushed jobs are appended in chunks, one record per save that added any
+const keyChunkKey = (index) => `CHECKPOINT-KEYS-${index}`;
+
+/**
+ * Progress of the current run in its default key-value store, which survives
+ * platform migrations and restarts of the same run. `save` runs after every page and
+ * writes only what changed: per search, the page to resume from and the jobs saved so
+ * far, plus a chunk with the dedup keys pushed since the previous save. Other components
+ * register larger state with `track`; it is written by `saveState` when the platform
+ * announces a migration or abort, and read back with `restored`.
+ */
+export class RunCheckpoint {
+    constructor(store, saved = null) {
+        this.store = store;
+        this.resumed = Boolean(saved);
+        this.searches = saved?.searches || {};
+        this.pushedKeys = new Set(saved?.pushedKeys || []);
+        this.keyChunks = saved?.keyChunks || 0;
+        this.newKeys = [];
+        this.extra = saved?.extra || {};
+        this.trackers = new Map();
+    }
+
+    static async open(kvStore) {
+        const store = kvStore ?? await Actor.openKeyValueStore();
+        const saved = await store.getValue(CHECKPOINT_KEY);
+        if (!saved || typeof saved !== 'object') return new RunCheckpoint(store);
+
+        const keyChunks = saved.keyChunks || 0;
+        const pushedKeys = [];
+        for (let i = 0; i < keyChunks; i++) pushedKeys.push(...((await store.getValue(keyChunkKey(i))) || []));
+        const extra = (await store.getValue(CHECKPOINT_STATE_KEY)) || {};
+        return new RunCheckpoint(store, { ...saved, pushedKeys, extra });
+    }
+
+    /**
+     * Saved progress for a search, or undefined when it has not started.
+     * Keyed by the search params so a changed input never resumes stale progress.
+     */
+    get(searchParams) {
+        return this.searches[hashSearchParams(searchParams)];
+    }
+
+    update(searchParams, progress) {
+        const key = hashSearchParams(searchParams);
+        this.searches[key] = { ...this.searches[key], searchParams, ...progress };
+    }
+
+    markPushed(keys) {
+        for (const key of keys) {
+            if (key && !this.pushedKeys.has(key)) {
+                this.pushedKeys.add(key);
+                this.newKeys.push(key);
+            }
+        }
+    }
+
+    track(name, getState) {
+        this.trackers.set(name, getState);
+    }
+
+    restored(name) {
+        return this.extra[name];
+    }
+
+    async save() {
+        if (this.newKeys.length) {
+            await this.store.setValue(keyChunkKey(this.keyChunks), this.newKeys);
+            this.keyChunks += 1;
+            this.newKeys = [];
+        }
+        await this.store.setValue(CHECKPOINT_KEY, {
+            updatedAt: new Date().toISOString(),
+            searches: this.searches,
+            keyChunks: this.keyChunks,
+        });
+    }
+
+    /**
+     * Save progress together with the state registered with `track`.
+     */
+    async saveState() {
+        const extra = { ...this.extra };
+        for (const [name, getState] of this.trackers) extra[name] = getState();
+        await this.store.setValue(CHECKPOINT_STATE_KEY, extra);
+        await this.save();
+    }
+
+    /**
+     * Drop the checkpoint once the run has finished, so a later restart starts fresh.
+     */
+    async clear() {
+        await this.store.setValue(CHECKPOINT_KEY, null);
+        await this.store.setValue(CHECKPOINT_STATE_KEY, null);
+        for (let i = 0; i < this.keyChunks; i++) await this.store.setValue(keyChunkKey(i), null);
+        log.debug('Checkpoint cleared');
+    }
+}
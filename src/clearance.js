@@ -0,0 +1,106 @@
+// ─── Clearance taxonomy ───────────────────────────────────────────────────────
+// Turns free-text clearance strings ("TS/SCI w/ Full Scope Poly", "Secret - Active",
+// "DOE Q") into structured fields. Patterns are checked highest level first, so
+// "Secret, TS/SCI preferred" resolves to the strongest level mentioned.
+
+export const CLEARANCE_LEVELS = ['Public Trust', 'Confidential', 'Secret', 'TS', 'TS/SCI', 'Q', 'L'];
+
+const LEVEL_PATTERNS = [
+    ['TS/SCI', /\b(?:ts|top\s*secret)\s*(?:[/\\,&+-]|\bw\/|\bwith\b|\band\b|\s)*\s*(?:sci|sensitive\s+compartmented)\b|\bsci\b/i],
+    ['TS', /\btop\s*secret\b|\bts\b/i],
+    ['Q', /\bdoe\s+q\b|\bq[\s-]+(?:clearance|cleared|access)\b|^\s*q\s*$/i],
+    ['Secret', /\bsecret\b/i],
+    ['L', /\bdoe\s+l\b|\bl\s+(?:clearance|access)\b|^\s*l\s*$/i],
+    ['Confidential', /\bconfidential\b/i],
+    ['Public Trust', /\bpublic\s*trust\b|\bsuitability\b|\b(?:m|t|h)?bi\b/i],
+];
+
+const POLYGRAPH_PATTERNS = [
+    ['full-scope', /\b(?:full[\s-]*scope|fsp|fs\s*poly|expanded\s*scope)\b/i],
+    ['lifestyle', /\blife[\s-]*style\b/i],
+    ['CI', /\bci\b|\bcounter[\s-]*intelligence\b/i],
+];
+
+const STATUS_PATTERNS = [
+    ['active', /\bactive\b/i],
+    ['current', /\bcurrent\b/i],
+    ['eligible', /\beligib|\bability\s+to\s+obtain|\bable\s+to\s+obtain|\bobtainable\b|\bmust\s+obtain\b|\binterim\b/i],
+];
+
+const AGENCY_PATTERNS = [
+    ['NSA', /\bnsa\b/i],
+    ['CIA', /\bcia\b/i],
+    ['NGA', /\bnga\b/i],
+    ['NRO', /\bnro\b/i],
+    ['DIA', /\bdia\b/i],
+    ['FBI', /\bfbi\b/i],
+    ['DHS', /\bdhs\b|\bcbp\b|\bice\b|\btsa\b/i],
+    ['DOE', /\bdoe\b|\bdepartment\s+of\s+energy\b/i],
+    ['DOJ', /\bdoj\b|\bdepartment\s+of\s+justice\b/i],
+    ['DOS', /\bdos\b|\bstate\s+department\b|\bdepartment\s+of\s+state\b/i],
+    ['IRS', /\birs\b/i],
+    ['DoD', /\bdod\b|\bdepartment\s+of\s+defense\b|\bdcsa\b/i],
+];
+
+// Eligibility for something added on top of the clearance ("Top Secret with eligibility for
+// SCI", "TS, SCI eligible", "Secret and ability to obtain a CI poly"): the clearance itself
+// must already be held
+const ADD_ON_ELIGIBILITY_RE =
+    /(?:\bwith\b|\band\b|\bw\/|[,;+])\s*(?:(?:the\s+)?(?:eligibility|ability|able)\s+(?:for|to\s+obtain|to\s+get)\s+(?:an?\s+)?(?:sci|(?:[\w-]+\s+){0,2}poly(?:graph)?)|(?:sci|(?:[\w-]+\s+){0,2}poly(?:graph)?)\s+eligib(?:le|ility))\b/gi;
+
+function firstMatch(patterns, text) {
+    const hit = patterns.find(([, re]) => re.test(text));
+    return hit ? hit[0] : undefined;
+}
+
+/**
+ * Parse a free-text clearance string into
+ * { clearance_level, polygraph, clearance_status_required, agency }.
+ * Fields that cannot be recognised are left undefined.
+ */
+export function parseClearance(text) {
+    const value = typeof text === 'string' ? text.trim() : '';
+    if (!value) return {};
+
+    const base = value.replace(ADD_ON_ELIGIBILITY_RE, ' ');
+    const level = firstMatch(LEVEL_PATTERNS, base);
+    let status = firstMatch(STATUS_PATTERNS, base);
+    if (!status && base !== value && level) status = 'active';
+    const mentionsPoly = /\bpoly(?:graph)?\b|\bfsp\b|\bfs\s*poly/i.test(value);
+    const noPoly = /\bno\s+poly|\bwithout\s+(?:a\s+)?poly|\bpoly(?:graph)?\s*(?:not\s+required|:\s*no(?:ne)?\b)/i.test(value);
+    let polygraph;
+    if (noPoly) polygraph = 'none';
+    else if (mentionsPoly) polygraph = firstMatch(POLYGRAPH_PATTERNS, value) || 'unspecified';
+    else if (level) polygraph = 'none';
+
+    let agency = firstMatch(AGENCY_PATTERNS, value);
+    if (!agency && (level === 'Q' || level === 'L')) agency = 'DOE';
+
+    return {
+        clearance_level: level,
+        polygraph,
+        clearance_status_required: status,
+        agency,
+    };
+}
+
+function levelToken(level) {
+    return String(level || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Build a predicate for the `clearance_levels` input. Accepts spellings such as
+ * "TS-SCI", "ts/sci" or "Top Secret" for the taxonomy levels. Levels match exactly:
+ * "TS" does not keep TS/SCI jobs, which need the SCI access as well.
+ * Returns null when no filter is configured.
+ */
+export function createClearanceFilter(levels) {
+    if (!Array.isArray(levels) || !levels.length) return null;
+    const wanted = new Set(
+        levels
+            .map((l) => parseClearance(String(l)).clearance_level || CLEARANCE_LEVELS.find((c) => levelToken(c) === levelToken(l)))
+            .filter(Boolean)
+            .map(levelToken),
+    );
+    return (record) => wanted.has(levelToken(record?.clearance_level));
+}
@@ -0,0 +1,106 @@
+// ─── Date normalization ───────────────────────────────────────────────────────
+// The API mixes epoch timestamps, card text ("Posted 3 days ago", "July 12, 2026")
+// and JSON-LD dates; everything is resolved to epoch ms and written out as ISO 8601.
+
+const UNIT_MS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    year: 365 * 24 * 60 * 60 * 1000,
+};
+
+const RELATIVE_RE = /(\d+|an?|one)\+?\s*(min(?:ute)?|hr|hour|day|week|wk|month|mo|year|yr)s?\s+ago/i;
+const UNIT_ALIASES = { min: 'minute', hr: 'hour', wk: 'week', mo: 'month', yr: 'year' };
+
+function startOfUtcDay(ms) {
+    const d = new Date(ms);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+function parseRelative(text, now) {
+    if (/^(?:just\s+(?:now|posted)|new|moments?\s+ago)$/i.test(text)) return now;
+    if (/^today$/i.test(text)) return startOfUtcDay(now);
+    if (/^yesterday$/i.test(text)) return startOfUtcDay(now) - UNIT_MS.day;
+    const match = text.match(RELATIVE_RE);
+    if (!match) return null;
+    const count = /^\d+$/.test(match[1]) ? Number(match[1]) : 1;
+    const unitKey = match[2].toLowerCase().replace(/^minute$/, 'min');
+    const unit = UNIT_ALIASES[unitKey] || unitKey;
+    return now - count * UNIT_MS[unit];
+}
+
+// A month name next to a day number, as in "Jul 12" or "12 July"
+const MONTH_DAY_RE = /\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?\b|\b\d{1,2}\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i;
+
+function fromEpoch(n) {
+    if (!Number.isFinite(n) || n <= 0) return null;
+    return n < 1e12 ? n * 1000 : n;
+}
+
+// "20260712" → midnight UTC, or null when it is not a real calendar date
+function fromCompactDate(digits) {
+    const match = digits.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map(Number);
+    const ms = Date.UTC(year, month - 1, day);
+    const date = new Date(ms);
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? ms : null;
+}
+
+/**
+ * Epoch ms for an API timestamp, a date string or a relative "N days ago" string,
+ * or null when the value cannot be read. Epoch values below 1e12 are treated as seconds;
+ * digit strings count as epochs only with 10 or 13 digits and otherwise as YYYYMMDD;
+ * date strings without a zone are read as UTC; relative strings and dates without a
+ * year resolve against `now`.
+ */
+export function parseDate(value, now = Date.now()) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') return fromEpoch(value);
+    const digits = String(value).trim();
+    if (/^\d+$/.test(digits)) {
+        return digits.length === 10 || digits.length === 13 ? fromEpoch(Number(digits)) : fromCompactDate(digits);
+    }
+    const text = String(value)
+        .replace(/^\s*(?:posted|updated|modified|date posted)\s*:?\s*/i, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!text) return null;
+
+    const relative = parseRelative(text, now);
+    if (relative != null) return relative;
+
+    // Card dates like "Jul 12" omit the year: take the latest one that is not in the future
+    if (!/\d{4}/.test(text)) {
+        if (!MONTH_DAY_RE.test(text)) return null;
+        const monthDay = text.replace(/(\d)(?:st|nd|rd|th)\b/i, '$1');
+        const year = new Date(now).getUTCFullYear();
+        const thisYear = Date.parse(`${monthDay} ${year} UTC`);
+        if (Number.isNaN(thisYear)) return null;
+        return thisYear > now ? Date.parse(`${monthDay} ${year - 1} UTC`) : thisYear;
+    }
+
+    const hasZone = /(?:z|[+-]\d{2}:?\d{2}|\b(?:utc|gmt))$/i.test(text) || /^\d{4}-\d{2}-\d{2}$/.test(text);
+    const parsed = hasZone ? Date.parse(text) : Date.parse(`${text} UTC`);
+    if (!Number.isNaN(parsed)) return parsed;
+    const fallback = Date.parse(text);
+    return Number.isNaN(fallback) ? null : fallback;
+}
+
+export function toIsoDate(value, now = Date.now()) {
+    const ms = parseDate(value, now);
+    return ms == null ? undefined : new Date(ms).toISOString();
+}
+
+/**
+ * First readable candidate as ISO 8601.
+ */
+export function firstIsoDate(candidates, now = Date.now()) {
+    for (const value of candidates) {
+        const iso = toIsoDate(value, now);
+        if (iso) return iso;
+    }
+    return undefined;
+}
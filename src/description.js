@@ -0,0 +1,188 @@
+import * as cheerio from 'cheerio';
+
+import { normalizeSpace } from './utils.js';
+
+// ─── Description analysis ─────────────────────────────────────────────────────
+// Splits description_html into headed sections, collects their bullet lists and
+// extracts required experience, degree level and certifications.
+
+// Checked in order: "Preferred Qualifications" must hit `desired` before `required`
+const SECTION_PATTERNS = [
+    ['benefits', /benefit|perks|what we offer|we offer|compensation|pay range|salary range/i],
+    ['desired_qualifications', /prefer|desired|nice to have|bonus|plus|additional qualifications|optional/i],
+    ['required_qualifications', /requir|qualification|minimum|basic|must have|skills|experience|education|eligibility|clearance|who you are|what you bring|what you need/i],
+    ['responsibilities', /responsib|duties|what you('|’)?ll do|day[\s-]to[\s-]day|role|tasks|job description|position summary|about the (?:job|position)/i],
+];
+
+const DEGREE_LEVELS = [
+    ['high_school', /\bhigh\s*school\b|\bhs\s+diploma\b|\bged\b/i],
+    ['associate', /\bassociate'?s?\s+degree\b|\baa\b|\baas\b/i],
+    ['bachelor', /\bbachelor'?s?\b|\bb\.?s\.?\b|\bb\.?a\.?\b|\bundergraduate degree\b/i],
+    ['master', /\bmaster'?s?\b|\bm\.?s\.?\b(?!\s*(?:office|word|excel|project))|\bmba\b/i],
+    ['doctorate', /\bph\.?d\b|\bdoctora(?:te|l)\b/i],
+];
+
+const CERTIFICATIONS = [
+    ['Security+', /\bsecurity\s*\+|\bsec\s*\+|security\s+plus\b/i],
+    ['Network+', /\bnetwork\s*\+|\bnet\s*\+/i],
+    ['A+', /(?:^|[\s,(/])a\+(?=[\s,.;)/]|$)/i],
+    ['CySA+', /\bcysa\s*\+?/i],
+    ['CASP+', /\bcasp\s*\+?/i],
+    ['Linux+', /\blinux\s*\+/i],
+    ['Cloud+', /\bcloud\s*\+/i],
+    ['CISSP', /\bcissp\b/i],
+    ['CISM', /\bcism\b/i],
+    ['CISA', /\bcisa\b/i],
+    ['CCSP', /\bccsp\b/i],
+    ['SSCP', /\bsscp\b/i],
+    ['CGRC', /\bcgrc\b|\bcap\s+certification\b/i],
+    ['CEH', /\bceh\b|certified ethical hacker/i],
+    ['OSCP', /\boscp\b/i],
+    ['GSEC', /\bgsec\b/i],
+    ['GCIH', /\bgcih\b/i],
+    ['GICSP', /\bgicsp\b/i],
+    ['CCNA', /\bccna\b/i],
+    ['CCNP', /\bccnp\b/i],
+    ['CCIE', /\bccie\b/i],
+    ['RHCSA', /\brhcsa\b/i],
+    ['RHCE', /\brhce\b/i],
+    ['PMP', /\bpmp\b/i],
+    ['ITIL', /\bitil\b/i],
+    ['AWS Certified', /\baws\s+certified\b|\baws\s+certification/i],
+    ['Azure Certified', /\bazure\s+(?:certified|certification)|\baz-\d{3}\b/i],
+];
+
+const IA_LEVEL_RE = /\b(IAT|IAM|IASAE)\s*(?:level\s*)?(III|II|I|[123])\b/gi;
+const ROMAN = { 1: 'I', 2: 'II', 3: 'III' };
+
+const YEARS_RE = /(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?\+?\s*(?:years?|yrs?)\b/gi;
+
+function classifyHeading(heading) {
+    return SECTION_PATTERNS.find(([, re]) => re.test(heading))?.[0] || 'other';
+}
+
+function isHeadingLike($, el) {
+    const tag = el.tagName?.toLowerCase();
+    if (/^h[1-6]$/.test(tag)) return true;
+    if (!['p', 'div', 'span', 'strong', 'b'].includes(tag)) return false;
+    const text = normalizeSpace($(el).text());
+    if (!text || text.length > 80) return false;
+    if (tag === 'strong' || tag === 'b') return true;
+    if ($(el).find('ul, ol, p, div').length) return false;
+    // Whole line bold, or a short line ending with a colon
+    const boldText = normalizeSpace($(el).find('strong, b, u').text());
+    return boldText === text || /:$/.test(text);
+}
+
+function extractSections(html) {
+    const $ = cheerio.load(html);
+    const sections = [];
+    let current = { heading: null, items: [], text: [] };
+    sections.push(current);
+
+    const startSection = (heading) => {
+        current = { heading: heading.replace(/:$/, '').trim(), items: [], text: [] };
+        sections.push(current);
+    };
+
+    const walk = (nodes) => {
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                const t = normalizeSpace(node.data);
+                if (t) current.text.push(t);
+                continue;
+            }
+            if (node.type !== 'tag') continue;
+            const tag = node.tagName.toLowerCase();
+            if (tag === 'ul' || tag === 'ol') {
+                const items = $(node).children('li').toArray().map((li) => normalizeSpace($(li).text()));
+                current.items.push(...items.filter(Boolean));
+            } else if (isHeadingLike($, node)) {
+                startSection(normalizeSpace($(node).text()));
+            } else if ($(node).children('ul, ol, p, div, h1, h2, h3, h4, h5, h6, strong, b').length) {
+                walk(node.children);
+            } else {
+                const t = normalizeSpace($(node).text());
+                if (t) current.text.push(t);
+            }
+        }
+    };
+    walk($('body').length ? $('body')[0].children : $.root()[0].children);
+
+    return sections
+        .filter((s) => s.items.length || s.text.length)
+        .map((s) => ({
+            heading: s.heading || undefined,
+            category: s.heading ? classifyHeading(s.heading) : 'other',
+            items: s.items,
+            text: s.text.join(' '),
+        }));
+}
+
+function sectionText(section) {
+    return [section.text, ...section.items].join(' ');
+}
+
+function findMinYears(text) {
+    let min;
+    for (const match of text.matchAll(YEARS_RE)) {
+        const n = Number(match[1]);
+        // Ignore clearance-investigation windows and ages that also read as "N years"
+        const tail = text.slice(match.index, match.index + match[0].length + 40);
+        if (!/experience|exp\b/i.test(tail)) continue;
+        if (n > 0 && n <= 40 && (min === undefined || n < min)) min = n;
+    }
+    return min;
+}
+
+function findDegreeLevel(text) {
+    if (!/degree|diploma|ged\b|bachelor|master|ph\.?d|doctora|associate'?s|\bb\.?s\b|\bm\.?s\b|\bmba\b/i.test(text)) return undefined;
+    return DEGREE_LEVELS.find(([, re]) => re.test(text))?.[0];
+}
+
+function findCertifications(text) {
+    return CERTIFICATIONS.filter(([, re]) => re.test(text)).map(([name]) => name);
+}
+
+function findIaLevels(text) {
+    const levels = new Set();
+    for (const match of text.matchAll(IA_LEVEL_RE)) {
+        const level = ROMAN[match[2]] || match[2].toUpperCase();
+        levels.add(`${match[1].toUpperCase()} ${level}`);
+    }
+    return [...levels];
+}
+
+/**
+ * Analyze a job description (HTML or plain text).
+ * Requirements come from the required-qualification sections when present and from
+ * the whole description otherwise; certifications mentioned only under preferred
+ * qualifications are left out of `certifications_required`.
+ */
+export function analyzeDescription(html) {
+    if (!html || typeof html !== 'string') return {};
+
+    const sections = extractSections(html);
+    const byCategory = (category) => sections.filter((s) => s.category === category);
+    const itemsOf = (category) => byCategory(category).flatMap((s) => s.items);
+
+    const fullText = sections.map(sectionText).join(' ');
+    const required = byCategory('required_qualifications').map(sectionText).join(' ');
+    const withoutDesired = sections.filter((s) => s.category !== 'desired_qualifications').map(sectionText).join(' ');
+    const requirementText = required || withoutDesired;
+
+    const certifications = findCertifications(fullText);
+
+    return {
+        description_sections: sections.filter((s) => s.heading),
+        responsibilities: itemsOf('responsibilities'),
+        required_qualifications: itemsOf('required_qualifications'),
+        desired_qualifications: itemsOf('desired_qualifications'),
+        benefits: itemsOf('benefits'),
+        experience_years_min: findMinYears(requirementText) ?? findMinYears(fullText),
+        degree_level: findDegreeLevel(requirementText) ?? findDegreeLevel(fullText),
+        certifications,
+        certifications_required: findCertifications(withoutDesired),
+        dod_8570_levels: findIaLevels(fullText),
+    };
+}
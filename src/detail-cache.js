@@ -0,0 +1,82 @@
+import { Actor, log } from 'apify';
+
+import { getValueCaseInsensitive } from './utils.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Key-value store cache of `/api/v1/jobs/{id}` payloads.
+ * An entry is reused only while the list payload still carries the `modified_time`
+ * it was fetched with and it is younger than the TTL, so edited listings are re-fetched.
+ */
+export class DetailCache {
+    constructor(store, { ttlHours = 168, forceRefresh = false } = {}) {
+        this.store = store;
+        this.ttlMs = Number(ttlHours) > 0 ? Number(ttlHours) * HOUR_MS : Infinity;
+        this.forceRefresh = forceRefresh;
+        this.stats = { hits: 0, misses: 0, modified: 0, expired: 0, writes: 0 };
+    }
+
+    static async open(storeName, options) {
+        const store = await Actor.openKeyValueStore(storeName || undefined);
+        return new DetailCache(store, options);
+    }
+
+    static keyFor(jobId) {
+        return `job-${String(jobId).replace(/[^a-zA-Z0-9!\-_.'()]/g, '_')}`;
+    }
+
+    static stampFor(job) {
+        const stamp = getValueCaseInsensitive(job, 'modified_time');
+        return stamp == null ? null : String(stamp);
+    }
+
+    /**
+     * Returns the cached detail payload for a list job, or null when it must be fetched.
+     */
+    async get(job) {
+        const jobId = getValueCaseInsensitive(job, 'id');
+        if (jobId == null || this.forceRefresh) return null;
+
+        let entry;
+        try {
+            entry = await this.store.getValue(DetailCache.keyFor(jobId));
+        } catch (err) {
+            log.debug(`Detail cache read failed for job ${jobId}: ${err.message}`);
+        }
+        if (!entry || typeof entry !== 'object' || !entry.detail) {
+            this.stats.misses += 1;
+            return null;
+        }
+        if (entry.modifiedTime !== DetailCache.stampFor(job)) {
+            this.stats.modified += 1;
+            return null;
+        }
+        if (Date.now() - Date.parse(entry.fetchedAt) > this.ttlMs) {
+            this.stats.expired += 1;
+            return null;
+        }
+        this.stats.hits += 1;
+        return entry.detail;
+    }
+
+    async set(job, detail) {
+        const jobId = getValueCaseInsensitive(job, 'id');
+        if (jobId == null || !detail || typeof detail !== 'object') return;
+        try {
+            await this.store.setValue(DetailCache.keyFor(jobId), {
+                modifiedTime: DetailCache.stampFor(job),
+                fetchedAt: new Date().toISOString(),
+                detail,
+            });
+            this.stats.writes += 1;
+        } catch (err) {
+            log.debug(`Detail cache write failed for job ${jobId}: ${err.message}`);
+        }
+    }
+
+    logStats() {
+        const { hits, misses, modified, expired, writes } = this.stats;
+        log.info(`Detail cache — ${hits} hits, ${misses} misses, ${modified} modified, ${expired} expired, ${writes} written`);
+    }
+}
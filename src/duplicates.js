@@ -0,0 +1,224 @@
+import { createHash } from 'node:crypto';
+
+import { log } from 'apify';
+
+import { buildDedupKey } from './mapping.js';
+import { isFilled } from './run-report.js';
+import { normalizeSpace } from './utils.js';
+
+// ─── Cross-posting duplicates ─────────────────────────────────────────────────
+// The same requisition is often posted under several ids: per metro, with "Sr." in
+// one title and "Senior" in the other, or with a different ZIP format. Records are
+// clustered by company plus a shared job reference id, an equal normalized title, or
+// near-identical descriptions (minhash over word shingles), and every record gets
+// the `duplicate_group_id` of its cluster.
+
+export const DEDUP_MODES = ['keep-all-tagged', 'keep-first', 'keep-most-complete'];
+
+const TITLE_ABBREVIATIONS = {
+    sr: 'senior',
+    jr: 'junior',
+    mgr: 'manager',
+    mngr: 'manager',
+    eng: 'engineer',
+    engr: 'engineer',
+    dev: 'developer',
+    admin: 'administrator',
+    sys: 'systems',
+    asst: 'assistant',
+    assoc: 'associate',
+    spec: 'specialist',
+    tech: 'technician',
+    ops: 'operations',
+    mgmt: 'management',
+    dir: 'director',
+    i: '1',
+    ii: '2',
+    iii: '3',
+    iv: '4',
+    v: '5',
+};
+
+const COMPANY_SUFFIXES = new Set(['inc', 'incorporated', 'llc', 'l', 'c', 'corp', 'corporation', 'co', 'company', 'ltd', 'lp', 'llp', 'plc', 'the']);
+
+const SHINGLE_SIZE = 4;
+const BANDS = 16;
+const ROWS = 4;
+const SIGNATURE_SIZE = BANDS * ROWS;
+
+// Same normalized title: descriptions this similar are one requisition, even across metros
+const SAME_TITLE_SIMILARITY = 0.8;
+// Different titles need near-identical descriptions and mostly shared title words
+const OTHER_TITLE_SIMILARITY = 0.9;
+const OTHER_TITLE_OVERLAP = 0.6;
+
+const UINT32 = 2 ** 32;
+
+function words(text) {
+    return normalizeSpace(String(text || '')).toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+export function normalizeTitle(title) {
+    return words(title).map((w) => TITLE_ABBREVIATIONS[w] || w).join(' ');
+}
+
+export function normalizeCompany(name) {
+    return words(name).filter((w) => !COMPANY_SUFFIXES.has(w)).join(' ');
+}
+
+/**
+ * Minhash signature of a text's word shingles, or null when the text is too short to compare.
+ */
+export function minhashSignature(text) {
+    const tokens = words(text);
+    if (tokens.length < SHINGLE_SIZE * 2) return null;
+    const signature = new Array(SIGNATURE_SIZE).fill(UINT32);
+    for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+        // Double hashing: hash k is (x + k·y) mod 2³², all from one digest per shingle
+        const digest = createHash('md5').update(tokens.slice(i, i + SHINGLE_SIZE).join(' ')).digest();
+        const x = digest.readUInt32BE(0);
+        const y = digest.readUInt32BE(4);
+        for (let k = 0; k < SIGNATURE_SIZE; k++) {
+            const v = (x + k * y) % UINT32;
+            if (v < signature[k]) signature[k] = v;
+        }
+    }
+    return signature;
+}
+
+/**
+ * Estimated Jaccard similarity of the shingle sets behind two signatures.
+ */
+export function estimateSimilarity(a, b) {
+    if (!a || !b) return 0;
+    let same = 0;
+    for (let k = 0; k < SIGNATURE_SIZE; k++) if (a[k] === b[k]) same += 1;
+    return same / SIGNATURE_SIZE;
+}
+
+function tokenOverlap(a, b) {
+    const left = new Set(a.split(' '));
+    const right = new Set(b.split(' '));
+    const shared = [...left].filter((w) => right.has(w)).length;
+    return shared / (left.size + right.size - shared || 1);
+}
+
+function locationKey(record) {
+    const loc = record.location_normalized || {};
+    const zip = String(loc.zip || '').match(/\d{5}/)?.[0];
+    if (zip) return zip;
+    if (loc.city || loc.state_code) return `${words(loc.city).join(' ')}|${loc.state_code || ''}`;
+    return words(record.location).join(' ');
+}
+
+function referenceId(record) {
+    const ref = record.job_reference_id ?? record.attributes?.job_reference_id;
+    return ref == null ? '' : normalizeSpace(String(ref)).toLowerCase();
+}
+
+function completeness(record) {
+    return Object.values(record).filter(isFilled).length;
+}
+
+/**
+ * Assigns each record to a duplicate cluster as it arrives. Cluster state can be
+ * carried across a restart with `toState()`.
+ */
+export class DuplicateClusterer {
+    constructor({ mode = 'keep-all-tagged' } = {}, { members = [] } = {}) {
+        if (!DEDUP_MODES.includes(mode)) throw new Error(`Unknown duplicate mode "${mode}"; use ${DEDUP_MODES.join(', ')}`);
+        this.mode = mode;
+        this.members = [];
+        this.byReference = new Map();
+        this.byTitle = new Map();
+        this.byBand = new Map();
+        this.stats = { groups: 0, duplicates: 0 };
+        for (const member of members) this.index(member);
+    }
+
+    index(member) {
+        const position = this.members.push(member) - 1;
+        if (member.duplicate) this.stats.duplicates += 1;
+        else this.stats.groups += 1;
+        if (member.ref && !this.byReference.has(`${member.company}|${member.ref}`)) {
+            this.byReference.set(`${member.company}|${member.ref}`, member.groupId);
+        }
+        const push = (map, key) => map.set(key, [...(map.get(key) || []), position]);
+        if (member.title) push(this.byTitle, `${member.company}|${member.title}`);
+        if (member.signature) {
+            for (let band = 0; band < BANDS; band++) {
+                const rows = member.signature.slice(band * ROWS, (band + 1) * ROWS).join(',');
+                push(this.byBand, `${member.company}|${band}|${rows}`);
+            }
+        }
+    }
+
+    findGroup({ company, ref, title, location, signature }) {
+        if (ref && this.byReference.has(`${company}|${ref}`)) return this.byReference.get(`${company}|${ref}`);
+
+        const candidates = new Set(this.byTitle.get(`${company}|${title}`) || []);
+        if (signature) {
+            for (let band = 0; band < BANDS; band++) {
+                const rows = signature.slice(band * ROWS, (band + 1) * ROWS).join(',');
+                for (const position of this.byBand.get(`${company}|${band}|${rows}`) || []) candidates.add(position);
+            }
+        }
+
+        for (const position of [...candidates].sort((a, b) => a - b)) {
+            const other = this.members[position];
+            if (title && other.title === title) {
+                // Without both descriptions, only the same place makes an equal title a duplicate
+                const match = signature && other.signature
+                    ? estimateSimilarity(signature, other.signature) >= SAME_TITLE_SIMILARITY
+                    : Boolean(location) && other.location === location;
+                if (match) return other.groupId;
+            } else if (
+                estimateSimilarity(signature, other.signature) >= OTHER_TITLE_SIMILARITY
+                && tokenOverlap(title, other.title) >= OTHER_TITLE_OVERLAP
+            ) {
+                return other.groupId;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Add a record to its cluster. Returns the `duplicate_group_id` and whether an
+     * earlier record is already in the group.
+     */
+    assign(record) {
+        const features = {
+            company: normalizeCompany(record.company),
+            ref: referenceId(record),
+            title: normalizeTitle(record.title),
+            location: locationKey(record),
+            signature: minhashSignature(record.description_text || record.short_description),
+        };
+        const existing = this.findGroup(features);
+        const groupId = existing
+            || `dup-${createHash('sha1').update(buildDedupKey(record) || JSON.stringify(features)).digest('hex').slice(0, 12)}`;
+        this.index({ ...features, groupId, duplicate: Boolean(existing) });
+        return { groupId, duplicate: Boolean(existing) };
+    }
+
+    /**
+     * The most complete record of each group (first seen wins a tie), in first-seen order.
+     */
+    selectMostComplete(records) {
+        const best = new Map();
+        for (const record of records) {
+            const kept = best.get(record.duplicate_group_id);
+            if (!kept || completeness(record) > completeness(kept)) best.set(record.duplicate_group_id, record);
+        }
+        const keep = new Set(best.values());
+        return records.filter((record) => keep.has(record));
+    }
+
+    toState() {
+        return { members: this.members };
+    }
+
+    logStats() {
+        log.info(`Duplicates — ${this.stats.duplicates} cross-posted copies in ${this.stats.groups} groups (${this.mode})`);
+    }
+}
@@ -0,0 +1,96 @@
+import { getPostedTimestamp } from './filters.js';
+import { annualize } from './salary.js';
+import { compactRecord, normalizeSpace } from './utils.js';
+
+const MAX_SAMPLE_TITLES = 10;
+
+function employerKey(record) {
+    const id = record.company_details?.id;
+    if (id != null) return `id:${id}`;
+    const name = normalizeSpace(record.company || '').toLowerCase();
+    return name ? `name:${name}` : null;
+}
+
+/**
+ * Rolls mapped job records up into one record per employer for the "employers" dataset:
+ * open postings in the run, clearance levels and locations hired for, the annualized
+ * salary range where posted, and the newest posting date.
+ */
+export class EmployerAggregator {
+    constructor() {
+        this.employers = new Map();
+    }
+
+    add(record) {
+        const key = employerKey(record);
+        if (!key) return;
+
+        let entry = this.employers.get(key);
+        if (!entry) {
+            const details = record.company_details || {};
+            entry = {
+                company_id: details.id,
+                company_name: record.company || details.name,
+                company_logo: details.logo,
+                company_url: details.url,
+                open_postings: 0,
+                clearance_levels: {},
+                locations: {},
+                titles: new Set(),
+                salaryMin: undefined,
+                salaryMax: undefined,
+                postingsWithSalary: 0,
+                newest: null,
+            };
+            this.employers.set(key, entry);
+        }
+
+        entry.open_postings += 1;
+        const clearance = record.clearance_level || record.security_clearance;
+        if (clearance) entry.clearance_levels[clearance] = (entry.clearance_levels[clearance] || 0) + 1;
+        if (record.location) entry.locations[record.location] = (entry.locations[record.location] || 0) + 1;
+        if (record.title && entry.titles.size < MAX_SAMPLE_TITLES) entry.titles.add(record.title);
+
+        const low = annualize(record.salary_min ?? record.salary_max, record.salary_period);
+        const high = annualize(record.salary_max ?? record.salary_min, record.salary_period);
+        if (low != null || high != null) {
+            entry.postingsWithSalary += 1;
+            entry.salaryMin = Math.min(entry.salaryMin ?? Infinity, low ?? high);
+            entry.salaryMax = Math.max(entry.salaryMax ?? -Infinity, high ?? low);
+        }
+
+        const posted = getPostedTimestamp(record);
+        if (posted != null && (entry.newest == null || posted > entry.newest)) entry.newest = posted;
+    }
+
+    addAll(records) {
+        for (const record of records) this.add(record);
+    }
+
+    get size() {
+        return this.employers.size;
+    }
+
+    /**
+     * Employer records ordered by open postings, most active first.
+     */
+    toRecords(extra = {}) {
+        return [...this.employers.values()]
+            .sort((a, b) => b.open_postings - a.open_postings)
+            .map((e) => compactRecord({
+                company_id: e.company_id,
+                company_name: e.company_name,
+                company_logo: e.company_logo,
+                company_url: e.company_url,
+                open_postings: e.open_postings,
+                clearance_levels: e.clearance_levels,
+                locations: e.locations,
+                sample_titles: [...e.titles],
+                postings_with_salary: e.postingsWithSalary,
+                salary_annual_min: e.salaryMin,
+                salary_annual_max: e.salaryMax,
+                newest_posting_date: e.newest != null ? new Date(e.newest).toISOString() : undefined,
+                ...extra,
+            }));
+    }
+}
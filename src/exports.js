@@ -0,0 +1,177 @@
+import { Actor, log } from 'apify';
+
+import { compactRecord, toSnakeCase } from './utils.js';
+
+// ─── Export adapters ──────────────────────────────────────────────────────────
+// Renders the run's records as flattened CSV, NDJSON and a schema.org JobPosting
+// JSON-LD feed, written to a key-value store next to the dataset.
+
+const EMPLOYMENT_TYPES = [
+    ['FULL_TIME', /full[\s-]?time/i],
+    ['PART_TIME', /part[\s-]?time/i],
+    ['CONTRACTOR', /contract/i],
+    ['TEMPORARY', /temp/i],
+    ['INTERN', /intern/i],
+    ['PER_DIEM', /per[\s-]?diem/i],
+];
+
+const UNIT_TEXT = { hour: 'HOUR', day: 'DAY', week: 'WEEK', month: 'MONTH', year: 'YEAR' };
+
+function flattenEntries(prefix, value) {
+    if (value == null) return [];
+    if (Array.isArray(value)) {
+        // Lists of scalars read well joined; lists of objects stay JSON in one cell
+        const scalars = value.every((v) => v == null || typeof v !== 'object');
+        return [[prefix, scalars ? value.join('; ') : JSON.stringify(value)]];
+    }
+    if (typeof value === 'object') {
+        return Object.entries(value).flatMap(([k, v]) => flattenEntries(`${prefix}_${toSnakeCase(k)}`, v));
+    }
+    return [[prefix, value]];
+}
+
+/**
+ * One level of columns per record: nested objects become `parent_child` columns, so each
+ * custom block becomes an `attributes_<field>` column.
+ */
+export function flattenRecord(record) {
+    return Object.fromEntries(Object.entries(record).flatMap(([key, value]) => flattenEntries(key, value)));
+}
+
+// Leading characters a spreadsheet reads as a formula; scraped text starting with one is escaped
+const FORMULA_RE = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    if (value == null) return '';
+    const text = typeof value === 'string' && FORMULA_RE.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV; the header is the union of all flattened columns in first-seen order.
+ * Text cells that would start a spreadsheet formula are prefixed with `'`.
+ */
+export function toCsv(records) {
+    const rows = records.map(flattenRecord);
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    const lines = [columns.map(csvCell).join(',')];
+    for (const row of rows) lines.push(columns.map((c) => csvCell(row[c])).join(','));
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+export function toNdjson(records) {
+    return records.map((r) => `${JSON.stringify(r)}\n`).join('');
+}
+
+function toEmploymentType(jobType) {
+    if (!jobType) return undefined;
+    const types = EMPLOYMENT_TYPES.filter(([, re]) => re.test(jobType)).map(([type]) => type);
+    return types.length ? types : ['OTHER'];
+}
+
+/**
+ * Rebuild a schema.org JobPosting from a mapped record, using only normalized fields.
+ */
+export function toJobPosting(record) {
+    const loc = record.location_normalized || {};
+    const company = record.company_details || {};
+    const isRemote = loc.work_arrangement === 'remote';
+
+    return compactRecord({
+        '@type': 'JobPosting',
+        identifier: record.id != null ? { '@type': 'PropertyValue', name: 'ClearedJobs.net', value: String(record.id) } : undefined,
+        title: record.title,
+        description: record.description_html || record.description_text || record.short_description,
+        url: record.url,
+        datePosted: record.posted_at,
+        validThrough: record.valid_through,
+        employmentType: toEmploymentType(record.job_type),
+        hiringOrganization: record.company
+            ? { '@type': 'Organization', name: record.company, sameAs: company.url, logo: company.logo }
+            : undefined,
+        jobLocation: {
+            '@type': 'Place',
+            address: {
+                '@type': 'PostalAddress',
+                streetAddress: loc.street,
+                addressLocality: loc.city,
+                addressRegion: loc.state_code,
+                postalCode: loc.zip,
+                addressCountry: loc.country,
+            },
+            geo: loc.lat != null && loc.lng != null
+                ? { '@type': 'GeoCoordinates', latitude: loc.lat, longitude: loc.lng }
+                : undefined,
+        },
+        jobLocationType: isRemote ? 'TELECOMMUTE' : undefined,
+        applicantLocationRequirements: isRemote ? { '@type': 'Country', name: loc.country || 'US' } : undefined,
+        baseSalary: record.salary_min != null || record.salary_max != null
+            ? {
+                '@type': 'MonetaryAmount',
+                currency: record.salary_currency || 'USD',
+                value: {
+                    '@type': 'QuantitativeValue',
+                    minValue: record.salary_min,
+                    maxValue: record.salary_max,
+                    unitText: UNIT_TEXT[record.salary_period],
+                },
+            }
+            : undefined,
+        securityClearanceRequirement: record.security_clearance,
+        experienceRequirements: record.experience_years_min != null
+            ? { '@type': 'OccupationalExperienceRequirements', monthsOfExperience: record.experience_years_min * 12 }
+            : record.experience,
+        educationRequirements: record.degree_level
+            ? { '@type': 'EducationalOccupationalCredential', credentialCategory: record.degree_level.replace('_', ' ') }
+            : record.education,
+        responsibilities: record.responsibilities?.join('\n'),
+        qualifications: record.required_qualifications?.join('\n'),
+        skills: record.skills?.length ? record.skills.join(', ') : undefined,
+    });
+}
+
+export function toJobPostingFeed(records) {
+    return `${JSON.stringify({ '@context': 'https://schema.org', '@graph': records.map(toJobPosting) }, null, 2)}\n`;
+}
+
+export const EXPORT_FORMATS = {
+    csv: { key: 'jobs.csv', contentType: 'text/csv; charset=utf-8', render: toCsv },
+    ndjson: { key: 'jobs.ndjson', contentType: 'application/x-ndjson; charset=utf-8', render: toNdjson },
+    jsonld: { key: 'jobs-jsonld.json', contentType: 'application/ld+json; charset=utf-8', render: toJobPostingFeed },
+};
+
+/**
+ * Collects the records pushed during the run and writes the selected formats once it ends.
+ */
+export class RecordExporter {
+    constructor(store, formats) {
+        this.store = store;
+        this.formats = formats;
+        this.records = [];
+    }
+
+    static async open(storeName, formats) {
+        const unknown = formats.filter((f) => !EXPORT_FORMATS[f]);
+        if (unknown.length) throw new Error(`Unknown export format(s): ${unknown.join(', ')}`);
+        const store = await Actor.openKeyValueStore(storeName || undefined);
+        return new RecordExporter(store, [...new Set(formats)]);
+    }
+
+    addAll(records) {
+        for (const record of records) this.records.push(record);
+    }
+
+    /**
+     * Write every selected format and return the keys written.
+     */
+    async write() {
+        const keys = [];
+        for (const format of this.formats) {
+            const { key, contentType, render } = EXPORT_FORMATS[format];
+            await this.store.setValue(key, render(this.records), { contentType });
+            keys.push(key);
+        }
+        log.info(`Exported ${this.records.length} records as ${keys.join(', ')}`);
+        return keys;
+    }
+}
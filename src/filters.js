@@ -0,0 +1,100 @@
+import { createClearanceFilter } from './clearance.js';
+import { parseDate } from './dates.js';
+import { createRadiusFilter, resolveCenter } from './location.js';
+import { createSalaryFilter } from './salary.js';
+import { createSkillsFilter } from './skills.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getPostedTimestamp(record) {
+    return (
+        parseDate(record?.posted_at) ??
+        parseDate(record?.date_posted) ??
+        parseDate(record?.posted_date) ??
+        parseDate(record?.modified_time)
+    );
+}
+
+/**
+ * Earliest accepted posting time (ms) from `posted_within_days` and `since`; the later
+ * of the two wins. Returns null when neither is set and throws on an unreadable `since`.
+ */
+export function resolvePostedCutoff({ postedWithinDays, since }, now = Date.now()) {
+    const cutoffs = [];
+    if (Number.isFinite(+postedWithinDays) && +postedWithinDays > 0) cutoffs.push(now - +postedWithinDays * DAY_MS);
+    if (since) {
+        const ts = parseDate(since, now);
+        if (ts == null) throw new Error(`since "${since}" is not a readable date`);
+        cutoffs.push(ts);
+    }
+    return cutoffs.length ? Math.max(...cutoffs) : null;
+}
+
+/**
+ * Build a predicate keeping jobs posted at or after `cutoff` (ms). Jobs without a
+ * readable date are kept, since the list is already sorted and filtered by the site.
+ */
+export function createPostedAfterFilter(cutoff) {
+    if (cutoff == null) return null;
+    return (record) => {
+        const ts = getPostedTimestamp(record);
+        return ts == null || ts >= cutoff;
+    };
+}
+
+/**
+ * Compose the client-side filters applied to mapped records before they are pushed.
+ * These cover what the list API cannot filter on itself.
+ * Returns { recordFilter, descriptions, postedCutoff }; recordFilter is null when nothing
+ * is configured and postedCutoff is passed on so pagination can stop at old listings.
+ */
+export function createRecordFilter({
+    clearanceLevels,
+    minSalary,
+    postedWithinDays,
+    since,
+    radiusMiles,
+    radiusCenter,
+    requiredSkills,
+    skillTaxonomy,
+}) {
+    const filters = [];
+    const descriptions = [];
+
+    const clearanceFilter = createClearanceFilter(clearanceLevels);
+    if (clearanceFilter) {
+        filters.push(clearanceFilter);
+        descriptions.push(`clearance level in ${clearanceLevels.join(', ')}`);
+    }
+
+    const salaryFilter = createSalaryFilter(minSalary);
+    if (salaryFilter) {
+        filters.push(salaryFilter);
+        descriptions.push(`annualized salary >= ${minSalary}`);
+    }
+
+    const postedCutoff = resolvePostedCutoff({ postedWithinDays, since });
+    const postedFilter = createPostedAfterFilter(postedCutoff);
+    if (postedFilter) {
+        filters.push(postedFilter);
+        descriptions.push(`posted on or after ${new Date(postedCutoff).toISOString()}`);
+    }
+
+    const radiusFilter = createRadiusFilter(radiusMiles, radiusCenter);
+    if (radiusFilter) {
+        filters.push(radiusFilter);
+        descriptions.push(`within ${radiusMiles} miles of ${resolveCenter(radiusCenter).label}`);
+    }
+
+    const skillsFilter = createSkillsFilter(requiredSkills, skillTaxonomy);
+    if (skillsFilter) {
+        filters.push(skillsFilter);
+        descriptions.push(`skills include ${requiredSkills.join(', ')}`);
+    }
+
+    return {
+        recordFilter: filters.length ? (record) => filters.every((f) => f(record)) : null,
+        descriptions,
+        postedCutoff,
+    };
+}
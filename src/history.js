@@ -0,0 +1,123 @@
+import { createHash } from 'node:crypto';
+import { isDeepStrictEqual } from 'node:util';
+
+import { Actor, log } from 'apify';
+
+import { pMap } from './http.js';
+import { normalizeSpace } from './utils.js';
+
+// ─── Job history ──────────────────────────────────────────────────────────────
+// Versioned snapshots of each job's mapped record in a named key-value store. When a
+// tracked field differs from the latest snapshot, the record carries the field-level
+// `changes` and a new version is stored.
+
+// Fields compared between versions; `description_hash` stands in for the description text
+export const HISTORY_FIELDS = ['salary', 'salary_min', 'salary_max', 'security_clearance', 'location', 'job_type', 'description_hash'];
+
+// Per-run fields that say nothing about the posting itself
+const RUN_FIELDS = ['changes', 'snapshot_version', 'change_type', 'search_query', 'matched_queries', 'duplicate_group_id', 'raw_unmapped'];
+
+// Store reads and writes in flight at once
+const STORE_CONCURRENCY = 8;
+
+export function descriptionHash(record) {
+    const text = normalizeSpace(record.description_text || record.short_description || '');
+    return text ? createHash('sha256').update(text).digest('hex').slice(0, 16) : null;
+}
+
+export function trackedValues(record) {
+    const values = {};
+    for (const field of HISTORY_FIELDS) {
+        values[field] = field === 'description_hash' ? descriptionHash(record) : (record[field] ?? null);
+    }
+    return values;
+}
+
+/**
+ * Field-level differences between two snapshots as { field, old_value, new_value, detected_at }.
+ */
+export function diffSnapshots(previous, current, detectedAt) {
+    const before = trackedValues(previous);
+    const after = trackedValues(current);
+    return HISTORY_FIELDS
+        .filter((field) => !isDeepStrictEqual(before[field], after[field]))
+        .map((field) => ({ field, old_value: before[field], new_value: after[field], detected_at: detectedAt }));
+}
+
+function toSnapshot(record) {
+    return Object.fromEntries(Object.entries(record).filter(([field]) => !RUN_FIELDS.includes(field)));
+}
+
+/**
+ * One key-value record per job: `{ job_id, last_seen_at, versions: [{ version, captured_at, record }] }`,
+ * oldest version first and at most `maxVersions` long.
+ */
+export class JobHistory {
+    constructor(store, { maxVersions = 20 } = {}, now = new Date()) {
+        this.store = store;
+        this.maxVersions = maxVersions;
+        this.runAt = now.toISOString();
+        this.pending = new Map();
+        this.stats = { new: 0, changed: 0, unchanged: 0 };
+    }
+
+    static async open(storeName, options) {
+        const store = await Actor.openKeyValueStore(storeName || undefined);
+        return new JobHistory(store, options);
+    }
+
+    static keyFor(jobId) {
+        return `job-${String(jobId).replace(/[^a-zA-Z0-9!\-_.'()]/g, '_')}`;
+    }
+
+    async read(jobId) {
+        try {
+            const entry = await this.store.getValue(JobHistory.keyFor(jobId));
+            return entry && Array.isArray(entry.versions) && entry.versions.length ? entry : null;
+        } catch (err) {
+            log.debug(`History read failed for job ${jobId}: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Compare records with their latest snapshots and set `changes` and `snapshot_version`
+     * on each. The new snapshots are written by `save` once the records are pushed.
+     */
+    async annotate(records) {
+        const tracked = records.filter((r) => r.id != null);
+        const annotations = await pMap(tracked, async (record) => {
+            const entry = await this.read(record.id);
+            const latest = entry?.versions.at(-1);
+            const changes = latest ? diffSnapshots(latest.record, record, this.runAt) : [];
+            const versions = [...(entry?.versions ?? [])];
+            if (!latest || changes.length) {
+                versions.push({ version: (latest?.version ?? 0) + 1, captured_at: this.runAt, record: toSnapshot(record) });
+            }
+            if (!latest) this.stats.new += 1;
+            else if (changes.length) this.stats.changed += 1;
+            else this.stats.unchanged += 1;
+
+            this.pending.set(String(record.id), { job_id: record.id, last_seen_at: this.runAt, versions: versions.slice(-this.maxVersions) });
+            return { changes, snapshot_version: versions.at(-1).version };
+        }, STORE_CONCURRENCY);
+        for (const [i, record] of tracked.entries()) Object.assign(record, annotations[i]);
+    }
+
+    async save(records) {
+        const entries = records.map((r) => this.pending.get(String(r.id))).filter(Boolean);
+        await pMap(entries, async (entry) => {
+            try {
+                await this.store.setValue(JobHistory.keyFor(entry.job_id), entry);
+            } catch (err) {
+                log.debug(`History write failed for job ${entry.job_id}: ${err.message}`);
+            }
+            this.pending.delete(String(entry.job_id));
+        }, STORE_CONCURRENCY);
+    }
+
+    logStats() {
+        const { new: added, changed, unchanged } = this.stats;
+        log.info(`Job history — ${added} new, ${changed} changed, ${unchanged} unchanged`);
+    }
+}
@@ -0,0 +1,122 @@
+import { log } from 'apify';
+import { Impit } from 'impit';
+
+import { AdaptiveRateLimiter, parseRetryAfter } from './rate-limiter.js';
+import { sleep } from './utils.js';
+
+// ─── Client Manager for Proxy Rotation ────────────────────────────────────────
+
+export class ClientManager {
+    constructor(proxyConf, rateLimiter = new AdaptiveRateLimiter()) {
+        this.proxyConf = proxyConf;
+        this.rateLimiter = rateLimiter;
+        this.client = null;
+    }
+
+    async getClient(forceRotate = false) {
+        if (!this.client || forceRotate) {
+            let proxyUrl;
+            try {
+                proxyUrl = this.proxyConf ? await this.proxyConf.newUrl() : undefined;
+            } catch (err) {
+                log.warning(`Failed to rotate proxy session: ${err.message}`);
+            }
+            this.client = new Impit({
+                browser: 'chrome',
+                ignoreTlsErrors: true,
+                ...(proxyUrl && { proxyUrl }),
+            });
+            if (forceRotate) {
+                log.debug('Rotated proxy client due to rate limit or connection error.');
+            }
+        }
+        return this.client;
+    }
+}
+
+// Base delays for per-request retries; tests shrink these to run offline quickly
+export const retryDelays = {
+    rateLimitMs: 5000,
+    serverErrorMs: 2000,
+    networkErrorMs: 500,
+};
+
+// ─── HTTP helpers ─────────────────────────────────────────────────────────────
+
+function isRetryableNetworkError(err) {
+    const msg = err.message || '';
+    return msg.includes('595') || msg.includes('ECONNRESET') || msg.includes('proxy') || msg.includes('socket') || msg.includes('fetch');
+}
+
+/**
+ * Fetch with exponential-backoff retry, paced by the client manager's adaptive rate limiter.
+ * Only sleeps on 429 / 5xx — not on successful responses. A 429 with Retry-After
+ * pauses the limiter for every request instead of backing off this one alone.
+ */
+export async function fetchWithRetry(clientManager, url, options = {}, maxRetries = 3) {
+    const limiter = clientManager.rateLimiter;
+    let lastErr;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        const ticket = await limiter.acquire({ retry: attempt > 1 });
+        let res;
+        try {
+            const client = await clientManager.getClient(attempt > 1);
+            res = await client.fetch(url, options);
+        } catch (err) {
+            limiter.release(ticket, { error: true });
+            lastErr = err;
+            if (isRetryableNetworkError(err) && attempt < maxRetries) {
+                log.debug(`Network/proxy error, retry ${attempt}/${maxRetries}`);
+                await sleep(retryDelays.networkErrorMs * attempt);
+                continue;
+            }
+            if (attempt >= maxRetries) throw err;
+            continue;
+        }
+
+        const retryAfter = res.status === 429 ? res.headers?.get?.('retry-after') ?? null : null;
+        limiter.release(ticket, { status: res.status, retryAfter });
+
+        if (res.status === 429 && attempt < maxRetries) {
+            if (parseRetryAfter(retryAfter) != null) {
+                log.debug(`Rate limited (429) on ${url}, retrying after the server's Retry-After`);
+            } else {
+                const wait = retryDelays.rateLimitMs * attempt + Math.random() * retryDelays.rateLimitMs * 0.4;
+                log.debug(`Rate limited (429) on ${url}, waiting ${Math.round(wait)}ms before retry ${attempt}`);
+                await sleep(wait);
+            }
+            continue;
+        }
+
+        if (res.status >= 500 && attempt < maxRetries) {
+            const wait = retryDelays.serverErrorMs * attempt + Math.random() * retryDelays.serverErrorMs * 0.5;
+            log.debug(`Server error (${res.status}), retrying in ${wait}ms`);
+            await sleep(wait);
+            continue;
+        }
+
+        return res;
+    }
+    throw lastErr || new Error(`All ${maxRetries} retries failed for ${url}`);
+}
+
+/**
+ * Concurrency-limited parallel map.
+ * Keeps at most `limit` promises in-flight at once, preserving order.
+ * Requests made inside `fn` are further paced by the adaptive rate limiter.
+ */
+export async function pMap(items, fn, limit) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function worker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
@@ -0,0 +1,55 @@
+import { Actor, log } from 'apify';
+
+const STATE_KEY = 'SEEN_JOBS';
+
+/**
+ * Returns the value used to detect that a previously delivered job changed.
+ * Only the list payload's `modified_time` counts: it is the same before and after
+ * detail enrichment, so the list-level check can skip unchanged jobs unfetched.
+ */
+export function getChangeStamp(record) {
+    const stamp = record?.modified_time;
+    return stamp == null ? null : String(stamp);
+}
+
+/**
+ * Persistent memory of delivered jobs for "new since last run" mode.
+ * Maps dedup keys from `buildDedupKey` to the change stamp seen at delivery.
+ */
+export class IncrementalState {
+    constructor(store, jobs = {}) {
+        this.store = store;
+        this.jobs = jobs;
+        this.dirty = false;
+    }
+
+    static async open(storeName) {
+        const store = await Actor.openKeyValueStore(storeName || undefined);
+        const saved = await store.getValue(STATE_KEY);
+        const jobs = saved && typeof saved.jobs === 'object' ? saved.jobs : {};
+        log.info(`Incremental mode: loaded ${Object.keys(jobs).length} previously delivered jobs`);
+        return new IncrementalState(store, jobs);
+    }
+
+    /**
+     * Returns 'new', 'updated', or null when the job was already delivered unchanged.
+     */
+    classify(key, stamp) {
+        if (!Object.prototype.hasOwnProperty.call(this.jobs, key)) return 'new';
+        return (this.jobs[key] ?? null) === stamp ? null : 'updated';
+    }
+
+    remember(key, stamp) {
+        this.jobs[key] = stamp;
+        this.dirty = true;
+    }
+
+    async save() {
+        if (!this.dirty) return;
+        await this.store.setValue(STATE_KEY, {
+            updatedAt: new Date().toISOString(),
+            jobs: this.jobs,
+        });
+        this.dirty = false;
+    }
+}
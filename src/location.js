@@ -0,0 +1,260 @@
+import { escapeRegExp, getValueCaseInsensitive, normalizeSpace } from './utils.js';
+
+// ─── Location normalization ───────────────────────────────────────────────────
+// Breaks the collapsed location string, JSON-LD address and coordinates into
+// city / state / ZIP / country / lat / lng, classifies the work arrangement and tags
+// the nearest cleared-market hub from an offline table.
+
+const STATES = {
+    alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+    connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA',
+    hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY',
+    louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+    mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH',
+    'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+    ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI', 'south carolina': 'SC',
+    'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT', virginia: 'VA',
+    washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY', 'puerto rico': 'PR', guam: 'GU',
+};
+const STATE_CODES = new Set(Object.values(STATES));
+
+// Full state names as the site search expects them in `city_state_zip`
+export const US_STATE_NAMES = Object.keys(STATES).map((name) =>
+    name.replace(/\b\w/g, (c) => c.toUpperCase()).replace(/\bOf\b/, 'of'),
+);
+
+// Cleared-market hubs: name, latitude, longitude, radius (miles) within which a job is tagged, state code
+export const METROS = [
+    ['Fort Meade / NSA', 39.1086, -76.7433, 12, 'MD'],
+    ['Aberdeen Proving Ground', 39.4663, -76.1305, 15, 'MD'],
+    ['Patuxent River', 38.2668, -76.4536, 20, 'MD'],
+    ['Washington, DC', 38.9072, -77.0369, 8, 'DC'],
+    ['Fort Belvoir / NGA', 38.7119, -77.1459, 8, 'VA'],
+    ['Quantico', 38.5224, -77.2933, 12, 'VA'],
+    ['Chantilly / Dulles', 38.8943, -77.4311, 10, 'VA'],
+    ['Northern Virginia', 38.8816, -77.1910, 25, 'VA'],
+    ['Hampton Roads', 36.8508, -76.2859, 30, 'VA'],
+    ['Huntsville / Redstone Arsenal', 34.7304, -86.5861, 30, 'AL'],
+    ['Colorado Springs', 38.8339, -104.8214, 30, 'CO'],
+    ['Denver / Buckley', 39.7017, -104.7516, 25, 'CO'],
+    ['San Antonio / JBSA', 29.4241, -98.4936, 30, 'TX'],
+    ['Tampa / MacDill', 27.9506, -82.4572, 30, 'FL'],
+    ['Charleston, SC', 32.7765, -79.9311, 25, 'SC'],
+    ['Augusta / Fort Eisenhower', 33.4735, -82.0105, 25, 'GA'],
+    ['Dayton / Wright-Patterson', 39.8261, -84.0484, 25, 'OH'],
+    ['Omaha / Offutt', 41.1185, -95.9125, 25, 'NE'],
+    ['St. Louis / NGA West', 38.6270, -90.1994, 25, 'MO'],
+    ['Oak Ridge', 36.0104, -84.2696, 25, 'TN'],
+    ['Albuquerque / Kirtland', 35.0844, -106.6504, 25, 'NM'],
+    ['Los Alamos', 35.8800, -106.3031, 15, 'NM'],
+    ['Las Vegas / Nellis', 36.2360, -115.0341, 25, 'NV'],
+    ['San Diego', 32.7157, -117.1611, 30, 'CA'],
+    ['Boston / Hanscom', 42.4597, -71.2758, 25, 'MA'],
+    ['Honolulu', 21.3069, -157.8583, 30, 'HI'],
+];
+
+// Whole-word patterns for each part of a hub name; short parts like "NSA" are too ambiguous to match
+const METRO_NAME_PATTERNS = new Map(METROS.map(([name]) => [
+    name,
+    name.toLowerCase().split(' / ').filter((part) => part.length > 3).map((part) => new RegExp(`(?<![a-z])${escapeRegExp(part)}(?![a-z])`)),
+]));
+
+// Short names people use for a hub, for `radius_center`
+const METRO_ALIASES = {
+    nova: 'Northern Virginia',
+    dc: 'Washington, DC',
+    'washington dc': 'Washington, DC',
+    nsa: 'Fort Meade / NSA',
+    redstone: 'Huntsville / Redstone Arsenal',
+    jbsa: 'San Antonio / JBSA',
+    wpafb: 'Dayton / Wright-Patterson',
+};
+
+const US_RE = /^(?:us|usa|united states(?: of america)?)$/i;
+
+// Field names the API has used for the remote-option flag
+export const REMOTE_OPTION_KEYS = ['location_remote_option', 'remote_option', 'remoteOption', 'isRemote', 'remote'];
+
+const WORK_ARRANGEMENT_PATTERNS = [
+    ['hybrid', /\bhybrid\b(?!\s+(?:cloud|environment|infrastructure|network))/i],
+    ['remote', /\b(?:100%|fully|full[\s-]time|completely)\s+remote\b|\bremote\s+(?:position|role|work|opportunity|eligible|option)\b|\bwork\s+from\s+home\b|\btelework(?:ing)?\s+(?:eligible|available|position|option)|^\s*remote\b|\(remote\)/i],
+    ['onsite', /\bon[\s-]?site\b|\bin[\s-]office\b|\bin[\s-]person\b/i],
+];
+
+function toCoordinate(value, limit) {
+    const n = typeof value === 'number' ? value : parseFloat(String(value ?? ''));
+    return Number.isFinite(n) && Math.abs(n) <= limit && n !== 0 ? n : undefined;
+}
+
+function toStateCode(value) {
+    const v = normalizeSpace(String(value || '')).replace(/\.$/, '');
+    if (!v) return undefined;
+    if (STATE_CODES.has(v.toUpperCase()) && v.length === 2) return v.toUpperCase();
+    return STATES[v.toLowerCase()];
+}
+
+/**
+ * Great-circle distance in miles.
+ */
+export function distanceMiles(lat1, lng1, lat2, lng2) {
+    const rad = (d) => (d * Math.PI) / 180;
+    const dLat = rad(lat2 - lat1);
+    const dLng = rad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Nearest hub whose radius contains the point, or a hub named in the text. A name matches
+ * as whole words, and only when the state (given, or read from the text) is the hub's own.
+ */
+export function findMetro({ latitude, longitude, text, state }) {
+    if (latitude != null && longitude != null) {
+        let best;
+        for (const [name, lat, lng, radius] of METROS) {
+            const d = distanceMiles(latitude, longitude, lat, lng);
+            if (d <= radius && (!best || d < best.distance)) best = { name, lat, lng, distance: d };
+        }
+        if (best) return best;
+    }
+    const haystack = String(text || '').toLowerCase();
+    if (!haystack) return undefined;
+    const stateCode = state || parseLocationString(text).state;
+    for (const [name, lat, lng, , metroState] of METROS) {
+        if (stateCode && stateCode !== metroState) continue;
+        if (METRO_NAME_PATTERNS.get(name).some((re) => re.test(haystack))) return { name, lat, lng };
+    }
+    return undefined;
+}
+
+/**
+ * Split "City, State ZIP" / "City, ST" strings.
+ */
+export function parseLocationString(value) {
+    const text = normalizeSpace(String(value || ''));
+    if (!text || /^remote$/i.test(text)) return {};
+
+    const zip = text.match(/\b(\d{5})(?:-\d{4})?\b/)?.[1];
+    const parts = text.replace(/\b\d{5}(?:-\d{4})?\b/, '').split(',').map((p) => normalizeSpace(p)).filter(Boolean);
+
+    let state;
+    let country;
+    const last = parts[parts.length - 1];
+    if (last && US_RE.test(last)) {
+        country = 'US';
+        parts.pop();
+    }
+    if (parts.length > 1 || toStateCode(parts[0])) {
+        state = toStateCode(parts[parts.length - 1]);
+        if (state) parts.pop();
+    }
+    const city = parts[0] && !/^remote\b/i.test(parts[0]) ? parts[0] : undefined;
+    if (state && !country) country = 'US';
+    return { city, state, zip, country };
+}
+
+/**
+ * Classify remote / hybrid / onsite from explicit remote-option data, then the location
+ * and title, then description cues. Jobs with a physical location and no cue are onsite.
+ */
+export function detectWorkArrangement({ remoteOption, location, title, description }) {
+    const explicit = normalizeSpace(String(remoteOption ?? '')).toLowerCase();
+    if (explicit === 'true') return 'remote';
+    if (/hybrid/.test(explicit)) return 'hybrid';
+    if (/remote|telework/.test(explicit)) return 'remote';
+    if (/on[\s-_]?site|in[\s-_]?office/.test(explicit)) return 'onsite';
+
+    for (const text of [location, title, description]) {
+        if (!text) continue;
+        const hit = WORK_ARRANGEMENT_PATTERNS.find(([, re]) => re.test(text));
+        if (hit) return hit[0];
+    }
+    const parsed = parseLocationString(location);
+    return parsed.city || parsed.state ? 'onsite' : undefined;
+}
+
+/**
+ * Build the `location_normalized` block for a job from its list/detail payloads,
+ * the JSON-LD `jobLocation.address` and the collapsed `location` string.
+ */
+export function normalizeLocation({ job, detail, jsonLdAddress, location, title, description }) {
+    const address = getValueCaseInsensitive(detail, 'address');
+    const addressObj = address && typeof address === 'object' ? address : {};
+    const fromString = parseLocationString(location);
+
+    const coordinates = getValueCaseInsensitive(detail, 'coordinates') || getValueCaseInsensitive(job, 'coordinates') || {};
+    const lat = toCoordinate(getValueCaseInsensitive(coordinates, 'latitude') ?? getValueCaseInsensitive(coordinates, 'lat'), 90);
+    const lng = toCoordinate(getValueCaseInsensitive(coordinates, 'longitude') ?? getValueCaseInsensitive(coordinates, 'lng'), 180);
+
+    const pick = (...values) => values.map((v) => normalizeSpace(String(v ?? ''))).find(Boolean) || undefined;
+    const city = pick(
+        getValueCaseInsensitive(jsonLdAddress, 'addressLocality'),
+        getValueCaseInsensitive(addressObj, 'city'),
+        fromString.city,
+    );
+    const stateCode =
+        toStateCode(pick(getValueCaseInsensitive(jsonLdAddress, 'addressRegion'), getValueCaseInsensitive(addressObj, 'state'))) ||
+        fromString.state;
+    const zip = pick(
+        getValueCaseInsensitive(jsonLdAddress, 'postalCode'),
+        getValueCaseInsensitive(addressObj, 'zip'),
+        getValueCaseInsensitive(addressObj, 'postal_code'),
+        fromString.zip,
+    )?.match(/^\d{5}/)?.[0];
+    let country = pick(getValueCaseInsensitive(jsonLdAddress, 'addressCountry'), fromString.country);
+    if (country && US_RE.test(country)) country = 'US';
+    if (!country && (stateCode || zip)) country = 'US';
+
+    const remoteOption = REMOTE_OPTION_KEYS
+        .map((k) => getValueCaseInsensitive(detail, k) ?? getValueCaseInsensitive(job, k))
+        .find((v) => v != null && v !== '' && v !== false);
+
+    const metro = findMetro({ latitude: lat, longitude: lng, text: [city, location].filter(Boolean).join(' '), state: stateCode });
+
+    return {
+        street: pick(getValueCaseInsensitive(jsonLdAddress, 'streetAddress'), typeof address === 'string' ? address : undefined),
+        city,
+        state_code: stateCode,
+        zip,
+        country,
+        lat,
+        lng,
+        work_arrangement: detectWorkArrangement({ remoteOption, location, title, description }),
+        metro_area: metro?.name,
+    };
+}
+
+/**
+ * Resolve a `radius_center` input: "lat,lng", the name of a hub from METROS or a short
+ * name such as "NoVA".
+ */
+export function resolveCenter(center) {
+    const text = normalizeSpace(String(center || ''));
+    if (!text) return null;
+    const coords = text.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+    if (coords) return { latitude: +coords[1], longitude: +coords[2], label: text };
+    const alias = METRO_ALIASES[text.toLowerCase().replace(/[.,]/g, '')];
+    const metro = alias ? findMetro({ text: alias }) : findMetro({ text });
+    return metro ? { latitude: metro.lat, longitude: metro.lng, label: metro.name } : null;
+}
+
+/**
+ * Build a predicate for `radius_miles` around `radius_center`. Jobs without coordinates
+ * fall back to their hub's coordinates; jobs with neither are dropped.
+ * Returns null when no filter is configured; throws when the center is missing or cannot be resolved.
+ */
+export function createRadiusFilter(radiusMiles, center) {
+    if (!Number.isFinite(+radiusMiles) || +radiusMiles <= 0) return null;
+    if (!normalizeSpace(String(center || ''))) throw new Error('radius_miles needs a radius_center to measure from');
+    const point = resolveCenter(center);
+    if (!point) throw new Error(`radius_center "${center}" is neither "lat,lng" nor a known metro area`);
+
+    const metroCoords = new Map(METROS.map(([name, lat, lng]) => [name, [lat, lng]]));
+    return (record) => {
+        const loc = record?.location_normalized || {};
+        let { lat, lng } = loc;
+        if ((lat == null || lng == null) && metroCoords.has(loc.metro_area)) [lat, lng] = metroCoords.get(loc.metro_area);
+        if (lat == null || lng == null) return false;
+        return distanceMiles(point.latitude, point.longitude, lat, lng) <= +radiusMiles;
+    };
+}
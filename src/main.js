@@ -1,616 +1,453 @@
 import { Actor, log } from 'apify';
-import * as cheerio from 'cheerio';
 import { Dataset } from 'crawlee';
-import { Impit } from 'impit';
 
-const BASE = 'https://clearedjobs.net';
+import { createAttributeMapping } from './attributes.js';
+import { RunCheckpoint } from './checkpoint.js';
+import { DetailCache } from './detail-cache.js';
+import { DuplicateClusterer } from './duplicates.js';
+import { EmployerAggregator } from './employers.js';
+import { RecordExporter } from './exports.js';
+import { createRecordFilter } from './filters.js';
+import { JobHistory } from './history.js';
+import { ClientManager } from './http.js';
+import { IncrementalState } from './incremental.js';
+import { buildDedupKey } from './mapping.js';
+import { WebhookNotifier } from './notifier.js';
+import { CoverageReport, DEFAULT_KEYWORD_SHARDS, planPartitions } from './partition.js';
+import { AdaptiveRateLimiter } from './rate-limiter.js';
+import { DEFAULT_QUALITY_FIELDS, RUN_REPORT_KEY, RunReport } from './run-report.js';
+import { SCHEMA_DRIFT_KEY, SchemaProfiler, summarizeDrift } from './schema-drift.js';
+import { collectFromApi, fetchListPage, saveDeliveredState } from './scraper.js';
+import { normalizeSearch, toPositiveInt } from './search.js';
+import { JobServer } from './serve.js';
+import { buildSkillTaxonomy } from './skills.js';
+import { JobTracker, recheckMissingJobs } from './tracking.js';
+import { BASE } from './utils.js';
 
-// ─── Concurrency cap for detail fetches ──────────────────────────────────────
-// 25 simultaneous connections saturates most proxies; 10 is the sweet spot to prevent 429 errors.
-// For local runs, reduce concurrency to prevent 429/403 errors from single IP (using 4 for optimal speed and safety).
-const DETAIL_CONCURRENCY = Actor.isAtHome() ? 10 : 4;
-
-// ─── Client Manager for Proxy Rotation ────────────────────────────────────────
-
-class ClientManager {
-    constructor(proxyConf) {
-        this.proxyConf = proxyConf;
-        this.client = null;
-    }
-
-    async getClient(forceRotate = false) {
-        if (!this.client || forceRotate) {
-            let proxyUrl;
-            try {
-                proxyUrl = this.proxyConf ? await this.proxyConf.newUrl() : undefined;
-            } catch (err) {
-                log.warning(`Failed to rotate proxy session: ${err.message}`);
-            }
-            this.client = new Impit({
-                browser: 'chrome',
-                ignoreTlsErrors: true,
-                ...(proxyUrl && { proxyUrl }),
-            });
-            if (forceRotate) {
-                log.debug('Rotated proxy client due to rate limit or connection error.');
-            }
-        }
-        return this.client;
-    }
-}
-
-// ─── Utilities ────────────────────────────────────────────────────────────────
+// ─── Entry point ─────────────────────────────────────────────────────────────
 
-function sleep(ms) {
-    return new Promise((resolve) => { setTimeout(resolve, ms); });
-}
+await Actor.main(async () => {
+    const input = (await Actor.getInput()) || {};
 
-let last429Time = 0;
-const COOLDOWN_MS = 5000; // 5 seconds cooldown for faster recovery
+    const {
+        results_wanted: RESULTS_WANTED_RAW = 50,
+        max_pages: MAX_PAGES_RAW = 5,
+        searches: searchesInput = [],
+        proxyConfiguration,
+        incremental = false,
+        state_store_name: stateStoreName = 'clearedjobs-state',
+        clearance_levels: clearanceLevels = [],
+        min_salary: minSalary,
+        posted_within_days: postedWithinDays,
+        since,
+        radius_miles: radiusMiles,
+        radius_center: radiusCenter,
+        extra_params: extraParamsInput,
+        min_concurrency: minConcurrency,
+        max_concurrency: maxConcurrency,
+        min_requests_per_second: minRps,
+        max_requests_per_second: maxRps,
+        detail_cache: useDetailCache = false,
+        detail_cache_store_name: detailCacheStoreName = 'clearedjobs-detail-cache',
+        detail_cache_ttl_hours: detailCacheTtlHours = 168,
+        force_refresh: forceRefresh = false,
+        employers_dataset: employersDataset = false,
+        employers_dataset_name: employersDatasetName = 'employers',
+        export_formats: exportFormats = [],
+        export_store_name: exportStoreName = '',
+        track_status: trackStatus = false,
+        tracking_store_name: trackingStoreName = 'clearedjobs-tracking',
+        job_events_dataset_name: jobEventsDatasetName = 'job-events',
+        max_status_checks: MAX_STATUS_CHECKS_RAW = 500,
+        webhook_url: webhookUrl = '',
+        webhook_template: webhookTemplate = 'json',
+        webhook_secret: webhookSecret,
+        webhook_batch_size: WEBHOOK_BATCH_SIZE_RAW = 20,
+        webhook_dry_run: webhookDryRun = false,
+        crawl_all: crawlAll = false,
+        crawl_page_limit: CRAWL_PAGE_LIMIT_RAW = 100,
+        crawl_keyword_shards: crawlKeywordShards = [],
+        min_detail_coverage: minDetailCoverageRaw,
+        min_fill_rate: minFillRateRaw,
+        quality_fields: qualityFieldsInput = [],
+        detect_schema_drift: detectSchemaDrift = false,
+        schema_store_name: schemaStoreName = 'clearedjobs-schema',
+        update_schema_baseline: updateSchemaBaseline = false,
+        include_raw: includeRaw = false,
+        attribute_mapping: attributeMappingInput = {},
+        duplicate_mode: duplicateMode = 'keep-all-tagged',
+        required_skills: requiredSkills = [],
+        skills_taxonomy: skillsTaxonomyInput = {},
+        track_history: trackHistory = false,
+        history_store_name: historyStoreName = 'clearedjobs-history',
+        history_max_versions: HISTORY_MAX_VERSIONS_RAW = 20,
+        serve = false,
+        serve_port: servePort,
+        serve_refresh_minutes: SERVE_REFRESH_MINUTES_RAW = 15,
+    } = input;
 
-async function check429Cooldown() {
-    const now = Date.now();
-    const timeSinceLast429 = now - last429Time;
-    if (timeSinceLast429 < COOLDOWN_MS) {
-        const wait = COOLDOWN_MS - timeSinceLast429 + Math.random() * 2000;
-        log.debug(`Global 429 cooldown active. Waiting ${Math.round(wait)}ms before next request.`);
-        await sleep(wait);
+    const RESULTS_WANTED = toPositiveInt(RESULTS_WANTED_RAW, 50);
+    const MAX_PAGES = toPositiveInt(MAX_PAGES_RAW, 5);
+    const maxStatusChecks = toPositiveInt(MAX_STATUS_CHECKS_RAW, 500);
+
+    const crawlPageLimit = toPositiveInt(CRAWL_PAGE_LIMIT_RAW, 100);
+
+    // Quality thresholds are percentages; unset or unreadable values disable the check
+    const toPercent = (value) => (value == null || value === '' || !Number.isFinite(Number(value))
+        ? undefined
+        : Math.min(100, Math.max(0, Number(value))));
+    const thresholds = {
+        minDetailCoverage: toPercent(minDetailCoverageRaw),
+        minFillRate: toPercent(minFillRateRaw),
+        fields: qualityFieldsInput.length ? qualityFieldsInput : DEFAULT_QUALITY_FIELDS,
+    };
+
+    // A `searches` batch replaces the single startUrl / keywords / location search;
+    // `crawl_all` replaces it with partitions of that single search
+    const hasBatchInput = Array.isArray(searchesInput) && searchesInput.length > 0;
+    if (crawlAll && hasBatchInput) log.warning('crawl_all partitions the single search; `searches` is ignored');
+    const isBatch = hasBatchInput && !crawlAll;
+    const defaults = { resultsWanted: RESULTS_WANTED, maxPages: MAX_PAGES, extraParams: extraParamsInput };
+    let searches = isBatch
+        ? searchesInput.map((entry) => normalizeSearch(entry, defaults))
+        : [normalizeSearch(input, defaults)];
+
+    if (crawlAll) {
+        log.info(`Scraper started — full catalog crawl, up to ${crawlPageLimit} pages per partition`);
+    } else if (isBatch) {
+        log.info(`Scraper started — ${searches.length} searches`);
+    } else {
+        log.info(`Scraper started — target: ${RESULTS_WANTED} jobs, max ${MAX_PAGES} pages`);
     }
-}
 
-function normalizeSpace(text) {
-    return (text || '').replace(/\s+/g, ' ').trim();
-}
-
-function safeJson(text) {
-    try { return JSON.parse(text); } catch { return null; }
-}
+    const dataset = await Dataset.open();
 
-function normalizeUrl(value) {
-    if (!value) return null;
+    const isCloud = Actor.isAtHome();
+    let proxyConf;
     try {
-        const parsed = new URL(value, BASE);
-        parsed.hash = '';
-        parsed.searchParams.delete('ref');
-        return parsed.href;
-    } catch { return null; }
-}
-
-// Strips null / empty strings / empty arrays / empty objects recursively
-function compactValue(value) {
-    if (value === null || value === undefined) return undefined;
-    if (typeof value === 'string') {
-        const s = normalizeSpace(value);
-        return s || undefined;
-    }
-    if (Array.isArray(value)) {
-        const cleaned = value.map(compactValue).filter((e) => e !== undefined);
-        return cleaned.length ? cleaned : undefined;
-    }
-    if (typeof value === 'object') {
-        const cleaned = /** @type {Record<string, unknown>} */ ({});
-        for (const [k, v] of Object.entries(value)) {
-            const c = compactValue(v);
-            if (c !== undefined) cleaned[k] = c;
+        if (proxyConfiguration) {
+            proxyConf = await Actor.createProxyConfiguration(proxyConfiguration);
+        } else if (isCloud) {
+            proxyConf = await Actor.createProxyConfiguration({ useApifyProxy: true });
         }
-        return Object.keys(cleaned).length ? cleaned : undefined;
-    }
-    return value;
-}
-
-function compactRecord(record) {
-    return compactValue(record) || {};
-}
-
-function parseJsonLd(input) {
-    if (!input) return {};
-    if (typeof input === 'string') {
-        const parsed = safeJson(input) || {};
-        if (Array.isArray(parsed)) return parsed.find((e) => e && typeof e === 'object') || {};
-        return typeof parsed === 'object' ? parsed : {};
-    }
-    if (Array.isArray(input)) return input.find((e) => e && typeof e === 'object') || {};
-    return typeof input === 'object' ? input : {};
-}
-
-function getValueCaseInsensitive(obj, path) {
-    if (!obj || typeof obj !== 'object') return undefined;
-    const parts = path.toLowerCase().split('.');
-    let current = obj;
-    for (const part of parts) {
-        if (!current || typeof current !== 'object') return undefined;
-        const keys = Object.keys(current);
-        const matchedKey = keys.find(k => k.toLowerCase() === part);
-        if (matchedKey === undefined) return undefined;
-        current = current[matchedKey];
-    }
-    return current;
-}
-
-function extractFromBlocks(blocks, label) {
-    if (!Array.isArray(blocks)) return null;
-    const target = label.toLowerCase();
-    const block = blocks.find((b) => {
-        if (!b || typeof b !== 'object') return false;
-        const bLabel = getValueCaseInsensitive(b, 'label') || getValueCaseInsensitive(b, 'title');
-        return String(bLabel || '').toLowerCase().trim() === target;
-    });
-    const val = block ? getValueCaseInsensitive(block, 'value') : null;
-    return val ? normalizeSpace(String(val)) : null;
-}
-
-function buildDedupKey(item) {
-    const itemId = getValueCaseInsensitive(item, 'id');
-    if (itemId != null) return `id:${itemId}`;
-    const u = normalizeUrl(getValueCaseInsensitive(item, 'url'));
-    if (u) return `url:${u.toLowerCase()}`;
-    const t = normalizeSpace(getValueCaseInsensitive(item, 'title') || '').toLowerCase();
-    const c = normalizeSpace(getValueCaseInsensitive(item, 'company') || '').toLowerCase();
-    const l = normalizeSpace(getValueCaseInsensitive(item, 'location') || '').toLowerCase();
-    if (t || c || l) return `tcl:${t}|${c}|${l}`;
-    return null;
-}
-
-function buildSearchParams({ startUrl, keywords, location }) {
-    const params = { locale: 'en', sort: 'date', keywords };
-    if (location) params.city_state_zip = location;
-
-    if (!startUrl) return params;
-    try {
-        const parsed = new URL(startUrl, BASE);
-        const sp = parsed.searchParams;
-        const getSpValue = (spObj, key) => {
-            const keys = Array.from(spObj.keys());
-            const matchedKey = keys.find(k => k.toLowerCase() === key.toLowerCase());
-            return matchedKey ? spObj.get(matchedKey) : null;
-        };
-
-        const kw = getSpValue(sp, 'keywords');
-        const csz = getSpValue(sp, 'city_state_zip');
-        const s = getSpValue(sp, 'sort');
-        const loc = getSpValue(sp, 'locale');
-        const lro = getSpValue(sp, 'location_remote_option_filter');
-
-        if (kw !== null) params.keywords = kw;
-        if (csz !== null) params.city_state_zip = csz;
-        if (s !== null) params.sort = s;
-        if (loc !== null) params.locale = loc;
-        if (lro !== null) params.location_remote_option_filter = lro;
     } catch (err) {
-        log.warning(`Invalid startUrl: ${err.message}`);
-    }
-    return params;
-}
-
-function mapApiJob(job, detail = {}) {
-    const id = getValueCaseInsensitive(job, 'id') ?? getValueCaseInsensitive(detail, 'id') ?? null;
-    const url = normalizeUrl(
-        getValueCaseInsensitive(job, 'url') ||
-        getValueCaseInsensitive(detail, 'url') ||
-        (id ? `${BASE}/job/${id}` : null),
-    );
-
-    const descriptionHtml = getValueCaseInsensitive(detail, 'description') || getValueCaseInsensitive(job, 'description') || null;
-    const jsonLd = parseJsonLd(getValueCaseInsensitive(detail, 'jsonLd') || getValueCaseInsensitive(job, 'jsonLd'));
-
-    const detailBottom = getValueCaseInsensitive(detail, 'customBlockBottom');
-    const detailTop = getValueCaseInsensitive(detail, 'customBlockTop');
-    const jobList = getValueCaseInsensitive(job, 'customBlockList');
-    const customBlocks = [
-        ...(Array.isArray(detailBottom) ? detailBottom : []),
-        ...(Array.isArray(detailTop) ? detailTop : []),
-        ...(Array.isArray(jobList) ? jobList : []),
-    ];
-
-    const clearanceFromBlocks = extractFromBlocks(customBlocks, 'security clearance');
-    const postedFromBlocks = extractFromBlocks(customBlocks, 'posted');
-    const jobReferenceId = extractFromBlocks(customBlocks, 'job reference id');
-
-    const jobLoc = getValueCaseInsensitive(jsonLd, 'jobLocation');
-    const address = getValueCaseInsensitive(jobLoc, 'address');
-    const locality = getValueCaseInsensitive(address, 'addressLocality');
-    const region = getValueCaseInsensitive(address, 'addressRegion');
-
-    const location = normalizeSpace(
-        getValueCaseInsensitive(detail, 'location') ||
-        getValueCaseInsensitive(job, 'location') ||
-        locality ||
-        region || '',
-    );
-
-    const baseSal = getValueCaseInsensitive(jsonLd, 'baseSalary');
-    const baseSalVal = getValueCaseInsensitive(baseSal, 'value');
-    const baseSalValVal = getValueCaseInsensitive(baseSalVal, 'value');
-    const salary = getValueCaseInsensitive(detail, 'salary') || getValueCaseInsensitive(job, 'salary') || baseSalValVal || null;
-
-    const companyRaw = getValueCaseInsensitive(detail, 'company') || getValueCaseInsensitive(job, 'company') || null;
-    const hiringOrg = getValueCaseInsensitive(jsonLd, 'hiringOrganization');
-    const hiringOrgName = getValueCaseInsensitive(hiringOrg, 'name');
-    const companyName = normalizeSpace(
-        (typeof companyRaw === 'object' ? getValueCaseInsensitive(companyRaw, 'name') : companyRaw) ||
-        hiringOrgName || '',
-    );
-
-    const security_clearance =
-        clearanceFromBlocks ||
-        getValueCaseInsensitive(detail, 'security_clearance') ||
-        getValueCaseInsensitive(job, 'security_clearance') ||
-        getValueCaseInsensitive(jsonLd, 'industry') || null;
-
-    const employmentType =
-        getValueCaseInsensitive(detail, 'positionType') ||
-        getValueCaseInsensitive(detail, 'position_type') ||
-        getValueCaseInsensitive(detail, 'job_type') ||
-        getValueCaseInsensitive(detail, 'employment_type') ||
-        getValueCaseInsensitive(job, 'positionType') ||
-        getValueCaseInsensitive(job, 'position_type') ||
-        getValueCaseInsensitive(job, 'job_type') ||
-        (() => {
-            const empType = getValueCaseInsensitive(jsonLd, 'employmentType');
-            return Array.isArray(empType) ? empType.join(', ') : empType;
-        })() || null;
-
-    let descriptionText;
-    const shortDesc = getValueCaseInsensitive(job, 'shortDescription');
-    const descLd = getValueCaseInsensitive(jsonLd, 'description');
-    if (descriptionHtml) {
-        descriptionText = normalizeSpace(cheerio.load(descriptionHtml).text());
-    } else if (shortDesc) {
-        descriptionText = normalizeSpace(shortDesc);
-    } else if (descLd) {
-        descriptionText = normalizeSpace(descLd);
+        log.warning(`Proxy configuration failed: ${err.message}. Proceeding without proxy.`);
     }
 
-    return compactRecord({
-        id,
-        url,
-        title: normalizeSpace(
-            getValueCaseInsensitive(job, 'title') ||
-            getValueCaseInsensitive(job, 'job_title') ||
-            getValueCaseInsensitive(jsonLd, 'title') || '',
-        ),
-        company: companyName,
-        company_details: typeof companyRaw === 'object' ? companyRaw : undefined,
-        location,
-        coordinates: getValueCaseInsensitive(detail, 'coordinates') || getValueCaseInsensitive(job, 'coordinates'),
-        address: getValueCaseInsensitive(detail, 'address'),
-        security_clearance,
-        salary: salary ? String(salary) : undefined,
-        job_type: employmentType,
-        experience: getValueCaseInsensitive(detail, 'experience'),
-        education: getValueCaseInsensitive(detail, 'education'),
-        posted_date: postedFromBlocks || getValueCaseInsensitive(job, 'posted_date'),
-        modified_time: getValueCaseInsensitive(job, 'modified_time'),
-        date_posted:
-            getValueCaseInsensitive(job, 'posted_date') ||
-            getValueCaseInsensitive(job, 'modified_time') ||
-            getValueCaseInsensitive(job, 'created_at') ||
-            getValueCaseInsensitive(detail, 'time') ||
-            getValueCaseInsensitive(jsonLd, 'datePosted') || null,
-        date_modified: getValueCaseInsensitive(jsonLd, 'dateModified') || getValueCaseInsensitive(job, 'modified_time'),
-        job_reference_id: jobReferenceId,
-        is_sponsored: getValueCaseInsensitive(detail, 'isSponsored') ?? getValueCaseInsensitive(job, 'isSponsored'),
-        is_backfilled: getValueCaseInsensitive(detail, 'isBackfilled') ?? getValueCaseInsensitive(job, 'isBackfilled'),
-        can_view_local: getValueCaseInsensitive(detail, 'canViewLocal') ?? getValueCaseInsensitive(job, 'canViewLocal'),
-        omitted: getValueCaseInsensitive(job, 'omitted'),
-        cant_see_content: getValueCaseInsensitive(detail, 'cantSeeContent') ?? getValueCaseInsensitive(job, 'cantSeeContent'),
-        display_logo: getValueCaseInsensitive(job, 'display_logo'),
-        short_description: shortDesc,
-        description_html: descriptionHtml,
-        description_text: descriptionText,
-        badge: getValueCaseInsensitive(detail, 'badge') || getValueCaseInsensitive(job, 'badge'),
-        epp: getValueCaseInsensitive(detail, 'epp') || getValueCaseInsensitive(job, 'epp'),
-        source: BASE,
+    // Start where the old fixed limits sat (10 on the platform, 4 from a single local IP) and let
+    // the limiter move between the user's floor and ceiling from there
+    const defaultMaxRps = isCloud ? 20 : 5;
+    const rateLimiter = new AdaptiveRateLimiter({
+        minConcurrency: toPositiveInt(minConcurrency, 1),
+        maxConcurrency: toPositiveInt(maxConcurrency, isCloud ? 20 : 8),
+        initialConcurrency: isCloud ? 10 : 4,
+        minRps: Number(minRps) > 0 ? Number(minRps) : 0.5,
+        maxRps: Number(maxRps) > 0 ? Number(maxRps) : defaultMaxRps,
+        initialRps: isCloud ? 5 : 2,
     });
-}
-
-// ─── HTTP helpers ─────────────────────────────────────────────────────────────
-
-/**
- * Fetch with exponential-backoff retry.
- * Only sleeps on 429 / 5xx — not on successful responses.
- */
-async function fetchWithRetry(clientManager, url, options = {}, maxRetries = 3) {
-    let lastErr;
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            await check429Cooldown();
-
-            const client = await clientManager.getClient(attempt > 1);
-            const res = await client.fetch(url, options);
-
-            if (res.status === 429) {
-                last429Time = Date.now();
-                if (attempt < maxRetries) {
-                    const wait = 5000 * attempt + Math.random() * 2000;
-                    log.debug(`Rate limited (429) on ${url}, waiting ${Math.round(wait)}ms before retry ${attempt}`);
-                    await sleep(wait);
-                    continue;
-                }
+    const clientManager = new ClientManager(proxyConf, rateLimiter);
+
+    // A migrated or restarted run picks up its own checkpoint from the default store
+    const checkpoint = await RunCheckpoint.open();
+    const seen = new Set(checkpoint.pushedKeys);
+    if (checkpoint.resumed) log.info(`Resuming from checkpoint — ${seen.size} jobs already saved`);
+
+    // Named store so delivered-job state outlives the run's default storage
+    const incrementalState = incremental ? await IncrementalState.open(stateStoreName) : undefined;
+    const history = trackHistory
+        ? await JobHistory.open(historyStoreName, { maxVersions: toPositiveInt(HISTORY_MAX_VERSIONS_RAW, 20) })
+        : undefined;
+    const detailCache = useDetailCache
+        ? await DetailCache.open(detailCacheStoreName, { ttlHours: detailCacheTtlHours, forceRefresh })
+        : undefined;
+
+    // Records are tagged with `skills` and `job_family` before the filters run
+    const skillTaxonomy = buildSkillTaxonomy(skillsTaxonomyInput);
+    const filterOptions = {
+        clearanceLevels,
+        minSalary,
+        postedWithinDays,
+        since,
+        radiusMiles,
+        radiusCenter,
+        requiredSkills,
+        skillTaxonomy,
+    };
+    const { recordFilter, descriptions: filterDescriptions, postedCutoff } = createRecordFilter(filterOptions);
+    if (recordFilter) log.info(`Client-side filters: ${filterDescriptions.join('; ')}`);
+    const mapOptions = { includeRaw, attributeMapping: createAttributeMapping(attributeMappingInput) };
+
+    // Serve mode answers queries from an in-memory index that each refresh re-scrapes into,
+    // instead of filling the dataset; it runs until the run is aborted
+    if (serve) {
+        if (crawlAll) log.warning('crawl_all is not supported in serve mode; serving the single search');
+        const refreshMinutes = toPositiveInt(SERVE_REFRESH_MINUTES_RAW, 15);
+        const jobServer = new JobServer();
+        const port = await jobServer.listen(toPositiveInt(servePort, Actor.config.get('containerPort')));
+        log.info(`Serving /jobs, /jobs/:id and /stats on port ${port}, refreshed every ${refreshMinutes} minutes`);
+        Actor.on('aborting', () => jobServer.stop());
+        Actor.on('migrating', () => jobServer.stop());
+        await jobServer.run(async (push) => {
+            // Relative cutoffs such as posted_within_days move with the clock, so each refresh rebuilds them
+            const current = createRecordFilter(filterOptions);
+            const seenThisRefresh = new Set();
+            const refreshMatches = isBatch ? new Map() : undefined;
+            for (const search of searches) {
+                await collectFromApi({
+                    searchParams: search.searchParams,
+                    maxPages: search.maxPages,
+                    resultsWanted: search.resultsWanted,
+                    seen: seenThisRefresh,
+                    dataset: { pushData: async (items) => push(items) },
+                    clientManager,
+                    recordFilter: current.recordFilter,
+                    searchLabel: search.label,
+                    matchIndex: refreshMatches,
+                    detailCache,
+                    postedCutoff: current.postedCutoff,
+                    mapOptions,
+                    skillTaxonomy,
+                    history,
+                });
             }
-
-            if (res.status >= 500 && attempt < maxRetries) {
-                const wait = 2000 * attempt + Math.random() * 1000;
-                log.debug(`Server error (${res.status}), retrying in ${wait}ms`);
-                await sleep(wait);
-                continue;
-            }
-
-            return res;
-        } catch (err) {
-            lastErr = err;
-            const msg = err.message || '';
-            if (
-                (msg.includes('595') || msg.includes('ECONNRESET') || msg.includes('proxy') || msg.includes('socket') || msg.includes('fetch')) &&
-                attempt < maxRetries
-            ) {
-                log.debug(`Network/proxy error, retry ${attempt}/${maxRetries}`);
-                await sleep(500 * attempt);
-                continue;
-            }
-            if (attempt >= maxRetries) throw err;
-        }
-    }
-    throw lastErr || new Error(`All ${maxRetries} retries failed for ${url}`);
-}
-
-/**
- * Concurrency-limited parallel map.
- * Keeps at most `limit` promises in-flight at once, preserving order.
- */
-async function pMap(items, fn, limit) {
-    const results = new Array(items.length);
-    let nextIndex = 0;
-
-    async function worker() {
-        while (nextIndex < items.length) {
-            const index = nextIndex++;
-            results[index] = await fn(items[index], index);
-        }
+        }, refreshMinutes * 60 * 1000);
+        rateLimiter.logStats();
+        detailCache?.logStats();
+        return;
     }
 
-    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
-    await Promise.all(workers);
-    return results;
-}
-
-// ─── Core scraping pipeline ───────────────────────────────────────────────────
-
-/**
- * Fetch one list page and return { data, hasNext }.
- */
-async function fetchListPage(clientManager, endpoint, searchParams, page) {
-    const qs = new URLSearchParams({ ...searchParams, page: String(page) }).toString();
-    const url = `${endpoint}?${qs}`;
-
-    try {
-        const res = await fetchWithRetry(clientManager, url, {}, 5);
-        if (!res || res.status >= 400) {
-            log.warning(`List API HTTP ${res?.status ?? 'unknown'} on page ${page}`);
-            return { data: [], hasNext: false, error: true };
-        }
-
-        const body = await res.text();
-        const json = safeJson(body);
-
-        if (!json || typeof json !== 'object') {
-            log.warning(`Non-JSON response on page ${page}`);
-            return { data: [], hasNext: false, error: true };
-        }
-
-        const dataKey = Object.keys(json).find(k => k.toLowerCase() === 'data');
-        const data = dataKey && Array.isArray(json[dataKey]) ? json[dataKey] : [];
-
-        const linksKey = Object.keys(json).find(k => k.toLowerCase() === 'links');
-        const links = linksKey ? json[linksKey] : null;
-        const nextKey = links ? Object.keys(links).find(k => k.toLowerCase() === 'next') : null;
-        const hasNext = nextKey ? Boolean(links[nextKey]) : false;
-
-        return { data, hasNext, error: false };
-    } catch (err) {
-        log.warning(`Failed to fetch page ${page}: ${err.message}`);
-        return { data: [], hasNext: false, error: true };
-    }
-}
-
-/**
- * Fetch one job detail and return the merged record.
- */
-async function fetchJobDetail(clientManager, job) {
-    const jobId = getValueCaseInsensitive(job, 'id');
-    if (jobId == null) {
-        return mapApiJob(job, {});
+    // Cross-posted copies of a job under other ids are clustered as records are saved
+    const duplicates = duplicateMode && duplicateMode !== 'off'
+        ? new DuplicateClusterer({ mode: duplicateMode }, checkpoint.restored('duplicates'))
+        : undefined;
+
+    // In batch mode records are held until every search has run, so a job found by
+    // several searches can list all of them in `matched_queries` before it is pushed.
+    // keep-most-complete holds them too, to pick each duplicate group's record at the end.
+    const holdRecords = isBatch || duplicates?.mode === 'keep-most-complete';
+    const matchIndex = isBatch ? new Map() : undefined;
+    // Held records live only in memory: a restart re-runs the searches that would have produced them
+    const buffered = [];
+    const trackProgress = !holdRecords;
+    const employers = employersDataset ? new EmployerAggregator() : undefined;
+    const exporter = exportFormats.length ? await RecordExporter.open(exportStoreName, exportFormats) : undefined;
+    const notifier = webhookUrl || webhookDryRun
+        ? await WebhookNotifier.open({
+            url: webhookUrl,
+            template: webhookTemplate,
+            secret: webhookSecret,
+            batchSize: toPositiveInt(WEBHOOK_BATCH_SIZE_RAW, 20),
+            dryRun: webhookDryRun,
+        })
+        : undefined;
+    notifier?.addAll(checkpoint.restored('notifierPending') || []);
+    const report = new RunReport(checkpoint.restored('runReport'));
+    const profiler = detectSchemaDrift ? await SchemaProfiler.open(schemaStoreName) : undefined;
+    profiler?.restore(checkpoint.restored('schemaProfile'));
+
+    // Records reach the end-of-run summaries and exports once they are in the dataset
+    const accept = (items) => {
+        employers?.addAll(items);
+        exporter?.addAll(items);
+        report.addRecords(items);
+    };
+
+    // Records saved before a restart feed them again; held records follow when flushed
+    if (checkpoint.resumed) {
+        const { items } = await dataset.getData();
+        accept(items);
     }
-    try {
-        const res = await fetchWithRetry(clientManager, `${BASE}/api/v1/jobs/${jobId}`, {}, 2);
-        if (res && res.status < 400) {
-            const body = await res.text();
-            const detailJson = safeJson(body);
-            const dataKey = detailJson ? Object.keys(detailJson).find(k => k.toLowerCase() === 'data') : null;
-            const detail = dataKey ? detailJson[dataKey] : {};
-            return mapApiJob(job, detail || {});
-        }
-    } catch (err) {
-        log.debug(`Detail fetch failed for job ${jobId}: ${err.message}`);
-    }
-    return mapApiJob(job, {});
-}
-
-async function collectFromApi({
-    searchParams,
-    maxPages,
-    resultsWanted,
-    seen,
-    dataset,
-    clientManager,
-}) {
-    let saved = 0;
-    let page = 1;
-    const endpoint = `${BASE}/api/v1/jobs`;
-
-    // Prefetch page 1 immediately
-    let nextPagePromise = fetchListPage(clientManager, endpoint, searchParams, page).catch((err) => {
-        log.warning(`Failed to fetch page ${page}: ${err.message}`);
-        return { data: [], hasNext: false, error: true };
-    });
 
-    while (saved < resultsWanted && page <= maxPages) {
-        // Await the already-in-flight list request
-        const { data, hasNext, error } = await nextPagePromise;
-
-        if (!data.length) {
-            if (error) {
-                log.warning(`Page ${page} failed with error. Skipping to next page.`);
-                const isLastPage = page >= maxPages;
-                if (!isLastPage && saved < resultsWanted) {
-                    const nextPage = page + 1;
-                    nextPagePromise = fetchListPage(clientManager, endpoint, searchParams, nextPage).catch((err) => {
-                        log.warning(`Failed to prefetch page ${nextPage}: ${err.message}`);
-                        return { data: [], hasNext: false, error: true };
-                    });
-                }
-                page += 1;
-                continue;
+    const sink = {
+        pushData: async (items) => {
+            if (holdRecords) {
+                buffered.push(...items);
             } else {
-                log.info(`Page ${page}: no jobs found — stopping`);
-                break;
+                await dataset.pushData(items);
+                accept(items);
+                checkpoint.markPushed(items.map(buildDedupKey));
             }
-        }
+        },
+    };
+
+    if (notifier) checkpoint.track('notifierPending', () => notifier.pending);
+    checkpoint.track('runReport', () => report.toState());
+    if (profiler) checkpoint.track('schemaProfile', () => profiler.profile);
+    if (duplicates) checkpoint.track('duplicates', () => duplicates.toState());
+    const saveCheckpoint = async (event) => {
+        if (trackProgress) await checkpoint.saveState();
+        else await checkpoint.save();
+        log.info(`Checkpoint saved on ${event}`);
+    };
+    Actor.on('migrating', () => saveCheckpoint('migration'));
+    Actor.on('aborting', () => saveCheckpoint('abort'));
+
+    // Partitions are planned before the clock starts so the coverage probes are not part of the crawl
+    let coverage;
+    if (crawlAll) {
+        const { root, leaves } = await planPartitions({
+            baseParams: searches[0].searchParams,
+            probe: (params) => fetchListPage(clientManager, `${BASE}/api/v1/jobs`, params, 1),
+            pageLimit: crawlPageLimit,
+            keywordShards: crawlKeywordShards.length ? crawlKeywordShards : DEFAULT_KEYWORD_SHARDS,
+            concurrency: rateLimiter.maxConcurrency,
+        });
+        log.info(`Crawl plan: ${leaves.length} partitions covering ${root.total ?? 'an unknown number of'} jobs`);
+        searches = leaves.map((leaf) => ({ ...leaf, resultsWanted: Infinity, maxPages: crawlPageLimit }));
+        coverage = new CoverageReport(root.total, checkpoint.restored('coverage'));
+        checkpoint.track('coverage', () => coverage.toState());
+    }
 
-        // ── Kick off next page fetch in parallel with detail fetches ──────────
-        const isLastPage = !hasNext || page >= maxPages;
-        if (!isLastPage && saved + data.length < resultsWanted) {
-            const nextPage = page + 1;
-            nextPagePromise = fetchListPage(clientManager, endpoint, searchParams, nextPage).catch((err) => {
-                log.warning(`Failed to prefetch page ${nextPage}: ${err.message}`);
-                return { data: [], hasNext: false, error: true };
-            });
+    const start = Date.now();
+    let totalSaved = 0;
+    for (const search of searches) {
+        const progress = checkpoint.get(search.searchParams);
+        if (progress?.done) {
+            log.info(`Search "${search.label}": already finished before the restart — skipping`);
+            totalSaved += progress.saved;
+            continue;
         }
-
-        log.info(`Page ${page}: enriching ${data.length} jobs (concurrency=${DETAIL_CONCURRENCY})`);
-
-        // ── Fetch job details with bounded concurrency ────────────────────────
-        const results = await pMap(
-            data,
-            async (job, index) => {
-                try {
-                    if (!Actor.isAtHome()) {
-                        // Stagger only the initial concurrent burst of requests by spacing them slightly
-                        const staggerIndex = index % DETAIL_CONCURRENCY;
-                        await sleep(staggerIndex * 250 + Math.random() * 150);
-                    }
-                    return await fetchJobDetail(clientManager, job);
-                } catch (err) {
-                    log.warning(`Failed to process job ${getValueCaseInsensitive(job, 'id') ?? 'unknown'}: ${err.message}`);
-                    return mapApiJob(job, {});
-                }
+        if (progress) log.info(`Search "${search.label}": resuming at page ${progress.page} with ${progress.saved} jobs saved`);
+        else if (crawlAll) log.info(`Partition "${search.label}": ${search.total ?? '?'} jobs reported`);
+        else if (isBatch) log.info(`Search "${search.label}": target ${search.resultsWanted} jobs, max ${search.maxPages} pages`);
+        const tracker = trackStatus ? await JobTracker.open(trackingStoreName, search.searchParams) : undefined;
+        coverage?.start(search);
+        const saved = await collectFromApi({
+            searchParams: search.searchParams,
+            maxPages: search.maxPages,
+            resultsWanted: search.resultsWanted,
+            seen,
+            dataset: sink,
+            clientManager,
+            incrementalState,
+            recordFilter,
+            searchLabel: search.label,
+            matchIndex,
+            detailCache,
+            onListPage: (jobs) => {
+                tracker?.observe(jobs);
+                coverage?.observe(search.label, jobs);
             },
-            DETAIL_CONCURRENCY,
-        );
-
-        // ── Dedup + cap ───────────────────────────────────────────────────────
-        const uniqueBatch = [];
-        for (const item of results) {
-            if (saved >= resultsWanted) break;
-            const key = buildDedupKey(item);
-            if (!key || seen.has(key)) continue;
-            seen.add(key);
-            uniqueBatch.push(item);
-            saved += 1;
-        }
-
-        if (uniqueBatch.length) {
-            try {
-                await dataset.pushData(uniqueBatch);
-                log.info(`Page ${page}: saved ${uniqueBatch.length} jobs — total ${saved}/${resultsWanted}`);
-            } catch (err) {
-                log.error(`Failed to push data to dataset: ${err.message}`);
+            postedCutoff,
+            // Held records are only final after the flush below, which notifies about them
+            notifier: holdRecords ? undefined : notifier,
+            startPage: progress?.page,
+            startSaved: progress?.saved,
+            firstPage: progress ? undefined : search.firstPage,
+            report,
+            profiler,
+            duplicates,
+            mapOptions,
+            skillTaxonomy,
+            history,
+            holdsRecords: holdRecords,
+            onProgress: trackProgress ? async ({ page, saved: savedSoFar }) => {
+                checkpoint.update(search.searchParams, { page, saved: savedSoFar });
+                await checkpoint.save();
+            } : undefined,
+        });
+        if (isBatch || crawlAll) log.info(`Search "${search.label}": ${saved} new unique jobs`);
+        totalSaved += saved;
+        coverage?.finish(search.label, saved);
+
+        if (tracker) {
+            const events = await recheckMissingJobs(clientManager, tracker, { maxChecks: maxStatusChecks });
+            if (events.length) {
+                const eventsDataset = await Dataset.open(jobEventsDatasetName);
+                await eventsDataset.pushData(events.map((e) => ({ ...e, search_query: search.label })));
+                const counts = events.reduce((acc, e) => ({ ...acc, [e.event]: (acc[e.event] || 0) + 1 }), {});
+                log.info(`Tracking: ${Object.entries(counts).map(([k, v]) => `${v} ${k}`).join(', ')}`);
             }
+            await tracker.save();
         }
 
-        if (isLastPage || saved >= resultsWanted) break;
-        page += 1;
-    }
-
-    return saved;
-}
-
-// ─── Entry point ─────────────────────────────────────────────────────────────
-
-await Actor.main(async () => {
-    const input = (await Actor.getInput()) || {};
-
-    const {
-        results_wanted: RESULTS_WANTED_RAW = 50,
-        max_pages: MAX_PAGES_RAW = 5,
-        proxyConfiguration,
-    } = input;
-
-    let {
-        startUrl = '',
-        keywords = '',
-        location = '',
-    } = input;
-
-    // Clean and normalize inputs
-    if (typeof startUrl === 'string') {
-        startUrl = startUrl.trim();
-        if (startUrl && !/^https?:\/\//i.test(startUrl)) {
-            startUrl = `https://${startUrl}`;
+        if (trackProgress) {
+            checkpoint.update(search.searchParams, { saved, done: true });
+            await checkpoint.save();
         }
-    } else {
-        startUrl = '';
     }
 
-    if (typeof keywords === 'string') {
-        keywords = normalizeSpace(keywords);
-    } else {
-        keywords = '';
+    if (buffered.length) {
+        const kept = duplicates?.mode === 'keep-most-complete' ? duplicates.selectMostComplete(buffered) : buffered;
+        if (kept.length < buffered.length) {
+            report.recordDrop('cross_posted', buffered.length - kept.length);
+            log.info(`Kept the most complete record of each duplicate group: ${kept.length} of ${buffered.length} jobs`);
+        }
+        await dataset.pushData(kept);
+        accept(kept);
+        checkpoint.markPushed(kept.map(buildDedupKey));
+        await saveDeliveredState(kept, { incrementalState, history });
+        buffered.length = 0;
+        await checkpoint.save();
+
+        if (notifier) {
+            // One digest per search, as when records are not held
+            const bySearch = new Map();
+            for (const item of kept) {
+                const label = item.search_query ?? (searches.length === 1 ? searches[0].label : undefined);
+                bySearch.set(label, [...(bySearch.get(label) || []), item]);
+            }
+            for (const [label, items] of bySearch) {
+                notifier.addAll(items);
+                await notifier.flush(label);
+            }
+        }
     }
 
-    if (typeof location === 'string') {
-        location = normalizeSpace(location);
-    } else {
-        location = '';
+    if (employers?.size) {
+        const employersStore = await Dataset.open(employersDatasetName);
+        await employersStore.pushData(employers.toRecords({
+            run_id: Actor.getEnv().actorRunId || undefined,
+            aggregated_at: new Date().toISOString(),
+        }));
+        log.info(`Saved ${employers.size} employer summaries to dataset "${employersDatasetName}"`);
     }
 
-    const RESULTS_WANTED = Number.isFinite(+RESULTS_WANTED_RAW)
-        ? Math.max(1, +RESULTS_WANTED_RAW) : 50;
-    const MAX_PAGES = Number.isFinite(+MAX_PAGES_RAW)
-        ? Math.max(1, +MAX_PAGES_RAW) : 5;
+    await exporter?.write();
 
-    log.info(`Scraper started — target: ${RESULTS_WANTED} jobs, max ${MAX_PAGES} pages`);
-
-    const dataset = await Dataset.open();
+    if (coverage) {
+        const summary = coverage.toRecord(totalSaved);
+        await Actor.setValue('CRAWL_COVERAGE', summary);
+        log.info(
+            `Crawl coverage: ${summary.unique_listed}/${summary.reported_total ?? '?'} jobs listed (${summary.coverage ?? '?'}%) `
+            + `across ${summary.partitions} partitions, ${summary.truncated_partitions} incomplete — see CRAWL_COVERAGE`,
+        );
+    }
 
-    const isCloud = Actor.isAtHome();
-    let proxyConf;
-    try {
-        if (proxyConfiguration) {
-            proxyConf = await Actor.createProxyConfiguration(proxyConfiguration);
-        } else if (isCloud) {
-            proxyConf = await Actor.createProxyConfiguration({ useApifyProxy: true });
+    const drift = await profiler?.finish({ updateBaseline: updateSchemaBaseline });
+    if (drift) {
+        await Actor.setValue(SCHEMA_DRIFT_KEY, drift);
+        const changes = summarizeDrift(drift);
+        if (changes.length) {
+            for (const change of changes) log.warning(`Schema drift — ${change}`);
+            log.warning(`API payloads differ from the stored baseline — see ${SCHEMA_DRIFT_KEY}`);
+        } else if (drift.baseline_created_at) {
+            log.info('Schema check: payloads match the stored baseline');
         }
-    } catch (err) {
-        log.warning(`Proxy configuration failed: ${err.message}. Proceeding without proxy.`);
     }
 
-    const clientManager = new ClientManager(proxyConf);
-
-    const seen = new Set();
-
-    const searchParams = buildSearchParams({ startUrl, keywords, location });
-
-    const start = Date.now();
-    const totalSaved = await collectFromApi({
-        searchParams,
-        maxPages: MAX_PAGES,
-        resultsWanted: RESULTS_WANTED,
-        seen,
-        dataset,
-        clientManager,
+    const failures = report.checkThresholds(thresholds);
+    const { requests, byStatus, retries, rateLimited, serverErrors, networkErrors } = rateLimiter.getStats();
+    const runReport = report.toRecord({
+        requests: { total: requests, retries, by_status: byStatus, rate_limited: rateLimited, server_errors: serverErrors, network_errors: networkErrors },
+        elapsedMs: Date.now() - start,
+        schemaDrift: drift && { drift: drift.drift, changes: summarizeDrift(drift) },
+        thresholds: { min_detail_coverage: thresholds.minDetailCoverage, min_fill_rate: thresholds.minFillRate, fields: thresholds.fields },
+        failures,
     });
+    await Actor.setValue(RUN_REPORT_KEY, runReport);
+
+    await checkpoint.clear();
 
     const elapsed = ((Date.now() - start) / 1000).toFixed(1);
     log.info(`Done — scraped ${totalSaved} jobs in ${elapsed}s`);
+    report.logSummary(runReport);
+    rateLimiter.logStats();
+    detailCache?.logStats();
+    notifier?.logStats();
+    duplicates?.logStats();
+    history?.logStats();
+
+    // Thresholds catch silent API changes: the data is kept, but the run is marked failed
+    if (failures.length) throw new Error(`Data quality below threshold: ${failures.join('; ')}`);
 });
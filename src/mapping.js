@@ -0,0 +1,237 @@
+import * as cheerio from 'cheerio';
+
+import { buildAttributes, DEFAULT_ATTRIBUTE_MAPPING } from './attributes.js';
+import { parseClearance } from './clearance.js';
+import { firstIsoDate } from './dates.js';
+import { analyzeDescription } from './description.js';
+import { normalizeLocation, REMOTE_OPTION_KEYS } from './location.js';
+import { normalizeSalary } from './salary.js';
+import {
+    BASE,
+    compactRecord,
+    extractFromBlocks,
+    getValueCaseInsensitive,
+    normalizeSpace,
+    normalizeUrl,
+    parseJsonLd,
+} from './utils.js';
+
+// ─── Record mapping ───────────────────────────────────────────────────────────
+
+export function buildDedupKey(item) {
+    const itemId = getValueCaseInsensitive(item, 'id');
+    if (itemId != null) return `id:${itemId}`;
+    const u = normalizeUrl(getValueCaseInsensitive(item, 'url'));
+    if (u) return `url:${u.toLowerCase()}`;
+    const t = normalizeSpace(getValueCaseInsensitive(item, 'title') || '').toLowerCase();
+    const c = normalizeSpace(getValueCaseInsensitive(item, 'company') || '').toLowerCase();
+    const l = normalizeSpace(getValueCaseInsensitive(item, 'location') || '').toLowerCase();
+    if (t || c || l) return `tcl:${t}|${c}|${l}`;
+    return null;
+}
+
+// Label/value pairs from all custom blocks, first occurrence of a label wins (detail before list)
+function collectCustomBlocks(blocks) {
+    const byLabel = new Map();
+    for (const block of blocks) {
+        if (!block || typeof block !== 'object') continue;
+        const label = normalizeSpace(String(getValueCaseInsensitive(block, 'label') || getValueCaseInsensitive(block, 'title') || ''));
+        const value = getValueCaseInsensitive(block, 'value');
+        if (!label || value == null || byLabel.has(label.toLowerCase())) continue;
+        byLabel.set(label.toLowerCase(), { label, value: typeof value === 'string' ? normalizeSpace(value) : value });
+    }
+    return [...byLabel.values()];
+}
+
+// Top-level payload keys mapApiJob (and normalizeLocation) read; keep in step with the mapping below
+const MAPPED_KEYS = {
+    list: [
+        'id', 'url', 'title', 'job_title', 'company', 'location', 'coordinates', 'description', 'shortDescription',
+        'jsonLd', 'customBlockList', 'salary', 'security_clearance', 'positionType', 'position_type', 'job_type',
+        'posted_date', 'modified_time', 'created_at', 'isSponsored', 'isBackfilled', 'canViewLocal', 'omitted',
+        'cantSeeContent', 'display_logo', 'status', 'badge', 'epp', ...REMOTE_OPTION_KEYS,
+    ],
+    detail: [
+        'id', 'url', 'company', 'location', 'coordinates', 'address', 'description', 'jsonLd', 'customBlockTop',
+        'customBlockBottom', 'salary', 'security_clearance', 'positionType', 'position_type', 'job_type',
+        'employment_type', 'experience', 'education', 'time', 'isSponsored', 'isBackfilled', 'canViewLocal',
+        'cantSeeContent', 'status', 'badge', 'epp', ...REMOTE_OPTION_KEYS,
+    ],
+};
+const MAPPED_KEY_SETS = Object.fromEntries(
+    Object.entries(MAPPED_KEYS).map(([kind, keys]) => [kind, new Set(keys.map((k) => k.toLowerCase()))]),
+);
+
+/**
+ * The part of a raw list or detail payload that mapApiJob does not read.
+ */
+export function unmappedFields(payload, kind) {
+    if (!payload || typeof payload !== 'object') return {};
+    return Object.fromEntries(Object.entries(payload).filter(([key]) => !MAPPED_KEY_SETS[kind].has(key.toLowerCase())));
+}
+
+/**
+ * Map a list job and its detail payload to an output record. Relative dates
+ * ("Posted 3 days ago") resolve against `fetchedAt`. With `includeRaw` the unmapped
+ * remainder of both payloads is kept in `raw_unmapped`; `attributeMapping` names the
+ * `attributes` keys for custom block labels.
+ */
+export function mapApiJob(job, detail = {}, {
+    fetchedAt = Date.now(),
+    includeRaw = false,
+    attributeMapping = DEFAULT_ATTRIBUTE_MAPPING,
+} = {}) {
+    const id = getValueCaseInsensitive(job, 'id') ?? getValueCaseInsensitive(detail, 'id') ?? null;
+    const url = normalizeUrl(
+        getValueCaseInsensitive(job, 'url') ||
+        getValueCaseInsensitive(detail, 'url') ||
+        (id ? `${BASE}/job/${id}` : null),
+    );
+
+    const descriptionHtml = getValueCaseInsensitive(detail, 'description') || getValueCaseInsensitive(job, 'description') || null;
+    const jsonLd = parseJsonLd(getValueCaseInsensitive(detail, 'jsonLd') || getValueCaseInsensitive(job, 'jsonLd'));
+
+    const detailBottom = getValueCaseInsensitive(detail, 'customBlockBottom');
+    const detailTop = getValueCaseInsensitive(detail, 'customBlockTop');
+    const jobList = getValueCaseInsensitive(job, 'customBlockList');
+    const customBlocks = [
+        ...(Array.isArray(detailBottom) ? detailBottom : []),
+        ...(Array.isArray(detailTop) ? detailTop : []),
+        ...(Array.isArray(jobList) ? jobList : []),
+    ];
+
+    const blocks = collectCustomBlocks(customBlocks);
+
+    const clearanceFromBlocks = extractFromBlocks(customBlocks, 'security clearance');
+    const postedFromBlocks = extractFromBlocks(customBlocks, 'posted');
+    const jobReferenceId = extractFromBlocks(customBlocks, 'job reference id');
+
+    const jobLoc = getValueCaseInsensitive(jsonLd, 'jobLocation');
+    const address = getValueCaseInsensitive(jobLoc, 'address');
+    const locality = getValueCaseInsensitive(address, 'addressLocality');
+    const region = getValueCaseInsensitive(address, 'addressRegion');
+
+    const location = normalizeSpace(
+        getValueCaseInsensitive(detail, 'location') ||
+        getValueCaseInsensitive(job, 'location') ||
+        locality ||
+        region || '',
+    );
+
+    const baseSal = getValueCaseInsensitive(jsonLd, 'baseSalary');
+    const baseSalVal = getValueCaseInsensitive(baseSal, 'value');
+    const baseSalValVal = getValueCaseInsensitive(baseSalVal, 'value');
+    const salary = getValueCaseInsensitive(detail, 'salary') || getValueCaseInsensitive(job, 'salary') || baseSalValVal || null;
+
+    const companyRaw = getValueCaseInsensitive(detail, 'company') || getValueCaseInsensitive(job, 'company') || null;
+    const hiringOrg = getValueCaseInsensitive(jsonLd, 'hiringOrganization');
+    const hiringOrgName = getValueCaseInsensitive(hiringOrg, 'name');
+    const companyName = normalizeSpace(
+        (typeof companyRaw === 'object' ? getValueCaseInsensitive(companyRaw, 'name') : companyRaw) ||
+        hiringOrgName || '',
+    );
+
+    const security_clearance =
+        clearanceFromBlocks ||
+        getValueCaseInsensitive(detail, 'security_clearance') ||
+        getValueCaseInsensitive(job, 'security_clearance') ||
+        getValueCaseInsensitive(jsonLd, 'industry') || null;
+
+    const employmentType =
+        getValueCaseInsensitive(detail, 'positionType') ||
+        getValueCaseInsensitive(detail, 'position_type') ||
+        getValueCaseInsensitive(detail, 'job_type') ||
+        getValueCaseInsensitive(detail, 'employment_type') ||
+        getValueCaseInsensitive(job, 'positionType') ||
+        getValueCaseInsensitive(job, 'position_type') ||
+        getValueCaseInsensitive(job, 'job_type') ||
+        (() => {
+            const empType = getValueCaseInsensitive(jsonLd, 'employmentType');
+            return Array.isArray(empType) ? empType.join(', ') : empType;
+        })() || null;
+
+    let descriptionText;
+    const shortDesc = getValueCaseInsensitive(job, 'shortDescription');
+    const descLd = getValueCaseInsensitive(jsonLd, 'description');
+    if (descriptionHtml) {
+        descriptionText = normalizeSpace(cheerio.load(descriptionHtml).text());
+    } else if (shortDesc) {
+        descriptionText = normalizeSpace(shortDesc);
+    } else if (descLd) {
+        descriptionText = normalizeSpace(descLd);
+    }
+
+    const title = normalizeSpace(
+        getValueCaseInsensitive(job, 'title') ||
+        getValueCaseInsensitive(job, 'job_title') ||
+        getValueCaseInsensitive(jsonLd, 'title') || '',
+    );
+
+    return compactRecord({
+        id,
+        url,
+        title,
+        company: companyName,
+        company_details: typeof companyRaw === 'object' ? companyRaw : undefined,
+        location,
+        coordinates: getValueCaseInsensitive(detail, 'coordinates') || getValueCaseInsensitive(job, 'coordinates'),
+        address: getValueCaseInsensitive(detail, 'address'),
+        location_normalized: normalizeLocation({
+            job,
+            detail,
+            jsonLdAddress: address,
+            location,
+            title,
+            description: descriptionText,
+        }),
+        security_clearance,
+        ...parseClearance(security_clearance),
+        salary: salary ? String(salary) : undefined,
+        ...normalizeSalary(salary, baseSal),
+        job_type: employmentType,
+        experience: getValueCaseInsensitive(detail, 'experience'),
+        education: getValueCaseInsensitive(detail, 'education'),
+        posted_date: postedFromBlocks || getValueCaseInsensitive(job, 'posted_date'),
+        modified_time: getValueCaseInsensitive(job, 'modified_time'),
+        date_posted:
+            getValueCaseInsensitive(job, 'posted_date') ||
+            getValueCaseInsensitive(job, 'modified_time') ||
+            getValueCaseInsensitive(job, 'created_at') ||
+            getValueCaseInsensitive(detail, 'time') ||
+            getValueCaseInsensitive(jsonLd, 'datePosted') || null,
+        date_modified: getValueCaseInsensitive(jsonLd, 'dateModified') || getValueCaseInsensitive(job, 'modified_time'),
+        posted_at: firstIsoDate([
+            getValueCaseInsensitive(jsonLd, 'datePosted'),
+            postedFromBlocks,
+            getValueCaseInsensitive(job, 'posted_date'),
+            getValueCaseInsensitive(job, 'created_at'),
+            getValueCaseInsensitive(detail, 'time'),
+            getValueCaseInsensitive(job, 'modified_time'),
+        ], fetchedAt),
+        updated_at: firstIsoDate([
+            getValueCaseInsensitive(job, 'modified_time'),
+            getValueCaseInsensitive(jsonLd, 'dateModified'),
+            postedFromBlocks,
+            getValueCaseInsensitive(job, 'posted_date'),
+            getValueCaseInsensitive(jsonLd, 'datePosted'),
+        ], fetchedAt),
+        valid_through: firstIsoDate([getValueCaseInsensitive(jsonLd, 'validThrough')], fetchedAt),
+        job_reference_id: jobReferenceId,
+        attributes: buildAttributes(blocks, attributeMapping),
+        is_sponsored: getValueCaseInsensitive(detail, 'isSponsored') ?? getValueCaseInsensitive(job, 'isSponsored'),
+        is_backfilled: getValueCaseInsensitive(detail, 'isBackfilled') ?? getValueCaseInsensitive(job, 'isBackfilled'),
+        can_view_local: getValueCaseInsensitive(detail, 'canViewLocal') ?? getValueCaseInsensitive(job, 'canViewLocal'),
+        omitted: getValueCaseInsensitive(job, 'omitted'),
+        cant_see_content: getValueCaseInsensitive(detail, 'cantSeeContent') ?? getValueCaseInsensitive(job, 'cantSeeContent'),
+        display_logo: getValueCaseInsensitive(job, 'display_logo'),
+        short_description: shortDesc,
+        description_html: descriptionHtml,
+        description_text: descriptionText,
+        ...analyzeDescription(descriptionHtml || shortDesc || descLd),
+        status: getValueCaseInsensitive(detail, 'status') || getValueCaseInsensitive(job, 'status'),
+        badge: getValueCaseInsensitive(detail, 'badge') || getValueCaseInsensitive(job, 'badge'),
+        epp: getValueCaseInsensitive(detail, 'epp') || getValueCaseInsensitive(job, 'epp'),
+        source: BASE,
+        raw_unmapped: includeRaw ? { list: unmappedFields(job, 'list'), detail: unmappedFields(detail, 'detail') } : undefined,
+    });
+}
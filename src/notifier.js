@@ -0,0 +1,199 @@
+import { createHmac } from 'node:crypto';
+
+import { Actor, log } from 'apify';
+
+import { parseRetryAfter } from './rate-limiter.js';
+import { sleep } from './utils.js';
+
+// ─── Webhook notifier ─────────────────────────────────────────────────────────
+// Posts a digest of the jobs found by each search to a webhook as generic JSON,
+// Slack blocks or a Microsoft Teams adaptive card.
+
+// Backoff base and per-request timeout for webhook retries; tests shrink them
+export const webhookRetry = { baseDelayMs: 1000, maxDelayMs: 30000, timeoutMs: 30000 };
+
+export const SIGNATURE_HEADER = 'X-ClearedJobs-Signature';
+
+// Slack rejects messages with more than 50 blocks (header + divider + one per job)
+const SLACK_MAX_JOBS = 45;
+
+function summarize(job) {
+    return {
+        id: job.id,
+        title: job.title,
+        company: job.company,
+        location: job.location,
+        work_arrangement: job.location_normalized?.work_arrangement,
+        clearance_level: job.clearance_level || job.security_clearance,
+        salary: job.salary,
+        posted_at: job.posted_at,
+        change_type: job.change_type,
+        url: job.url,
+    };
+}
+
+function headline({ search, total, batch, batches }) {
+    const part = batches > 1 ? ` (part ${batch}/${batches})` : '';
+    return `${total} new cleared job${total === 1 ? '' : 's'}${search ? ` for "${search}"` : ''}${part}`;
+}
+
+function detailLine(job) {
+    return [job.company, job.location, job.clearance_level, job.salary].filter(Boolean).join(' · ');
+}
+
+export const TEMPLATES = {
+    json: (jobs, meta) => ({
+        event: 'new_jobs',
+        search: meta.search,
+        total: meta.total,
+        batch: meta.batch,
+        batches: meta.batches,
+        sent_at: new Date().toISOString(),
+        jobs,
+    }),
+
+    slack: (jobs, meta) => ({
+        text: headline(meta),
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: headline(meta).slice(0, 150) } },
+            { type: 'divider' },
+            ...jobs.map((job) => ({
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: `*${job.url ? `<${job.url}|${job.title}>` : job.title}*\n${detailLine(job)}`.slice(0, 3000),
+                },
+            })),
+        ],
+    }),
+
+    teams: (jobs, meta) => ({
+        type: 'message',
+        attachments: [
+            {
+                contentType: 'application/vnd.microsoft.card.adaptive',
+                content: {
+                    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                    type: 'AdaptiveCard',
+                    version: '1.4',
+                    body: [
+                        { type: 'TextBlock', size: 'Large', weight: 'Bolder', wrap: true, text: headline(meta) },
+                        ...jobs.map((job) => ({
+                            type: 'Container',
+                            separator: true,
+                            items: [
+                                { type: 'TextBlock', weight: 'Bolder', wrap: true, text: job.url ? `[${job.title}](${job.url})` : job.title },
+                                { type: 'TextBlock', isSubtle: true, wrap: true, spacing: 'None', text: detailLine(job) },
+                            ],
+                        })),
+                    ],
+                },
+            },
+        ],
+    }),
+};
+
+export function signPayload(body, secret) {
+    return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Collects the jobs pushed by a search and delivers them to a webhook in batches.
+ * Deliveries retry network errors, timeouts, 429 and 5xx with exponential backoff; a batch that
+ * still fails is logged and skipped so the scrape itself is never failed by the webhook.
+ */
+export class WebhookNotifier {
+    constructor({ url, template = 'json', secret, batchSize = 20, maxRetries = 3, dryRun = false, store } = {}) {
+        if (!TEMPLATES[template]) throw new Error(`Unknown webhook template "${template}"`);
+        this.url = url;
+        this.template = template;
+        this.secret = secret;
+        this.batchSize = template === 'slack' ? Math.min(batchSize, SLACK_MAX_JOBS) : batchSize;
+        this.maxRetries = maxRetries;
+        this.dryRun = dryRun;
+        this.store = store;
+        this.pending = [];
+        this.dryRunPayloads = [];
+        this.stats = { sent: 0, failed: 0, jobs: 0 };
+    }
+
+    static async open(options) {
+        const store = options.dryRun ? await Actor.openKeyValueStore() : undefined;
+        return new WebhookNotifier({ ...options, store });
+    }
+
+    addAll(records) {
+        this.pending.push(...records.map(summarize));
+    }
+
+    buildRequests(jobs, search) {
+        const batches = Math.ceil(jobs.length / this.batchSize);
+        const requests = [];
+        for (let i = 0; i < batches; i++) {
+            const slice = jobs.slice(i * this.batchSize, (i + 1) * this.batchSize);
+            const body = JSON.stringify(TEMPLATES[this.template](slice, { search, total: jobs.length, batch: i + 1, batches }));
+            const headers = { 'content-type': 'application/json' };
+            if (this.secret) headers[SIGNATURE_HEADER] = signPayload(body, this.secret);
+            requests.push({ headers, body, jobs: slice.length });
+        }
+        return requests;
+    }
+
+    /**
+     * Deliver everything collected since the last flush, labelled with the search.
+     */
+    async flush(search) {
+        const jobs = this.pending;
+        this.pending = [];
+        if (!jobs.length) return;
+
+        for (const request of this.buildRequests(jobs, search)) {
+            if (this.dryRun) {
+                this.dryRunPayloads.push({ url: this.url, headers: request.headers, payload: JSON.parse(request.body) });
+                continue;
+            }
+            const ok = await this.deliver(request);
+            this.stats[ok ? 'sent' : 'failed'] += 1;
+            if (ok) this.stats.jobs += request.jobs;
+        }
+
+        if (this.dryRun) {
+            await this.store.setValue('WEBHOOK_DRY_RUN', this.dryRunPayloads);
+            log.info(`Webhook dry run: ${this.dryRunPayloads.length} payloads saved to key-value store record WEBHOOK_DRY_RUN`);
+        }
+    }
+
+    async deliver({ headers, body }) {
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            let retryAfterMs = null;
+            try {
+                const res = await fetch(this.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(webhookRetry.timeoutMs) });
+                // Drain the body so the connection is released
+                await res.text().catch(() => '');
+                if (res.ok) return true;
+                if (res.status !== 429 && res.status < 500) {
+                    log.warning(`Webhook rejected the payload with HTTP ${res.status}; not retrying`);
+                    return false;
+                }
+                retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+                log.debug(`Webhook returned HTTP ${res.status} (attempt ${attempt + 1}/${this.maxRetries + 1})`);
+            } catch (err) {
+                // A timeout counts as a failed attempt like any network error
+                const reason = err.name === 'TimeoutError' ? `no response within ${webhookRetry.timeoutMs} ms` : err.message;
+                log.debug(`Webhook request failed (attempt ${attempt + 1}/${this.maxRetries + 1}): ${reason}`);
+            }
+            if (attempt < this.maxRetries) {
+                const backoff = Math.min(webhookRetry.baseDelayMs * 2 ** attempt, webhookRetry.maxDelayMs);
+                await sleep(Math.min(retryAfterMs ?? backoff, webhookRetry.maxDelayMs));
+            }
+        }
+        log.warning(`Webhook delivery failed after ${this.maxRetries + 1} attempts; dropping this batch`);
+        return false;
+    }
+
+    logStats() {
+        if (this.dryRun) return;
+        const { sent, failed, jobs } = this.stats;
+        log.info(`Webhook — ${sent} batches sent (${jobs} jobs), ${failed} failed`);
+    }
+}
@@ -0,0 +1,150 @@
+import { log } from 'apify';
+
+import { pMap } from './http.js';
+import { US_STATE_NAMES } from './location.js';
+import { getValueCaseInsensitive } from './utils.js';
+
+// ─── Full-catalog partitioning ────────────────────────────────────────────────
+// `crawl_all` splits the catalog into searches small enough to paginate completely:
+// by state, then by remote option, then by keyword shard, probing page 1 of each
+// candidate for the paginator's `meta.total`.
+
+export const REMOTE_OPTIONS = ['remote', 'hybrid', 'onsite'];
+
+export const DEFAULT_KEYWORD_SHARDS = [
+    'engineer', 'analyst', 'developer', 'administrator', 'manager', 'specialist', 'technician', 'architect',
+    'scientist', 'intelligence', 'cyber', 'software', 'network', 'systems', 'security', 'data', 'cloud',
+    'support', 'program', 'project', 'test', 'operations', 'logistics', 'training',
+];
+
+// Each splitter returns child partitions, or null when the partition already pins that dimension
+const SPLITTERS = [
+    ({ searchParams }) => {
+        if (searchParams.city_state_zip) return null;
+        const byState = US_STATE_NAMES.map((state) => ({ label: state, params: { city_state_zip: state } }));
+        // Remote listings without a state would otherwise fall through every state partition
+        return searchParams.location_remote_option_filter
+            ? byState
+            : [...byState, { label: 'remote (any location)', params: { location_remote_option_filter: 'remote' } }];
+    },
+    ({ searchParams }) => {
+        if (searchParams.location_remote_option_filter) return null;
+        return REMOTE_OPTIONS.map((option) => ({ label: option, params: { location_remote_option_filter: option } }));
+    },
+    ({ searchParams }, { keywordShards }) => keywordShards.map((shard) => ({
+        label: shard,
+        params: { keywords: [searchParams.keywords, shard].filter(Boolean).join(' ') },
+    })),
+];
+
+function fits({ total, perPage }, pageLimit) {
+    return total == null || !perPage || total <= pageLimit * perPage;
+}
+
+/**
+ * Split a search into leaf partitions that each fit under `pageLimit` pages.
+ * `probe(searchParams)` fetches page 1 and returns { data, hasNext, total, perPage }.
+ * Leaves carry their probe as `firstPage`; partitions still too large after the last
+ * splitter are kept and marked `truncated`. Empty partitions are dropped.
+ * Returns { root, leaves } where `root` is the probe of the unsplit search.
+ */
+export async function planPartitions({ baseParams, probe, pageLimit, keywordShards = DEFAULT_KEYWORD_SHARDS, concurrency = 4 }) {
+    // Returns the leaves under a partition in plan order
+    const visit = async (partition, level) => {
+        const result = partition.firstPage || await probe(partition.searchParams);
+        const node = { ...partition, firstPage: result, total: result.total };
+        if (result.error) {
+            log.warning(`Partition "${node.label}": probe failed, crawling it as is`);
+            return [node];
+        }
+        if (result.total === 0 || (result.total == null && !result.data.length)) return [];
+
+        // First splitter from this level on that still applies to the partition
+        let depth = level;
+        let children = null;
+        while (!fits(result, pageLimit) && depth < SPLITTERS.length && !children) {
+            children = SPLITTERS[depth](node, { keywordShards });
+            depth += 1;
+        }
+        if (children) {
+            log.info(`Partition "${node.label || 'all jobs'}": ${result.total} jobs — splitting into ${children.length}`);
+            const nested = await pMap(
+                children,
+                (child) => visit({
+                    label: node.label ? `${node.label} / ${child.label}` : child.label,
+                    searchParams: { ...node.searchParams, ...child.params },
+                }, depth),
+                concurrency,
+            );
+            return nested.flat();
+        }
+        return [{ ...node, truncated: !fits(result, pageLimit) }];
+    };
+
+    const root = await probe(baseParams);
+    const leaves = await visit({ label: '', searchParams: baseParams, firstPage: root }, 0);
+    return { root, leaves: leaves.map((leaf) => ({ ...leaf, label: leaf.label || 'all jobs' })) };
+}
+
+/**
+ * Per-partition coverage: how many of the jobs the site reported were listed and saved.
+ * Overall coverage compares distinct listed job ids with the unsplit search's total.
+ */
+export class CoverageReport {
+    constructor(rootTotal, { partitions = {}, listedIds = [] } = {}) {
+        this.rootTotal = rootTotal;
+        this.partitions = partitions;
+        this.listedIds = new Set(listedIds);
+    }
+
+    start(partition) {
+        this.partitions[partition.label] ??= {
+            partition: partition.label,
+            search_params: partition.searchParams,
+            reported_total: partition.total ?? null,
+            pages: 0,
+            listed: 0,
+            saved: 0,
+            truncated: Boolean(partition.truncated),
+        };
+        return this.partitions[partition.label];
+    }
+
+    observe(label, listJobs) {
+        const entry = this.partitions[label];
+        entry.pages += 1;
+        entry.listed += listJobs.length;
+        for (const job of listJobs) {
+            const id = getValueCaseInsensitive(job, 'id');
+            if (id != null) this.listedIds.add(String(id));
+        }
+    }
+
+    finish(label, saved) {
+        const entry = this.partitions[label];
+        entry.saved = saved;
+        entry.coverage = entry.reported_total ? Math.round((entry.listed / entry.reported_total) * 1000) / 10 : null;
+    }
+
+    /**
+     * State to carry across a restart of the run.
+     */
+    toState() {
+        return { partitions: this.partitions, listedIds: [...this.listedIds] };
+    }
+
+    toRecord(uniqueSaved) {
+        const partitions = Object.values(this.partitions);
+        const uniqueListed = this.listedIds.size;
+        return {
+            generated_at: new Date().toISOString(),
+            reported_total: this.rootTotal,
+            unique_listed: uniqueListed,
+            unique_saved: uniqueSaved,
+            coverage: this.rootTotal ? Math.round((uniqueListed / this.rootTotal) * 1000) / 10 : null,
+            partitions: partitions.length,
+            truncated_partitions: partitions.filter((p) => p.truncated || (p.coverage != null && p.coverage < 100)).length,
+            by_partition: partitions,
+        };
+    }
+}
@@ -0,0 +1,196 @@
+import { log } from 'apify';
+
+import { sleep } from './utils.js';
+
+// ─── Adaptive rate limiter ────────────────────────────────────────────────────
+// AIMD control of in-flight requests and requests per second: every window of
+// healthy responses adds one slot and a little rate, while 429s halve both and
+// 5xx / network errors / very slow responses cut them by a quarter.
+// A Retry-After header pauses all new requests until the server says otherwise,
+// up to `maxRetryAfterMs`.
+
+const RATE_INCREASE_STEP = 0.5;
+const SERVER_ERROR_FACTOR = 0.75;
+const RATE_LIMIT_FACTOR = 0.5;
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value == null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(String(value));
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export class AdaptiveRateLimiter {
+    constructor({
+        minConcurrency = 1,
+        maxConcurrency = 10,
+        initialConcurrency,
+        minRps = 0.5,
+        maxRps = 10,
+        initialRps,
+        latencyCeilingMs = 15000,
+        maxRetryAfterMs = 60000,
+    } = {}) {
+        this.minConcurrency = Math.max(1, Math.floor(minConcurrency));
+        this.maxConcurrency = Math.max(this.minConcurrency, Math.floor(maxConcurrency));
+        this.minRps = Math.max(0.01, minRps);
+        this.maxRps = Math.max(this.minRps, maxRps);
+        this.latencyCeilingMs = latencyCeilingMs;
+        this.maxRetryAfterMs = maxRetryAfterMs;
+
+        this.concurrency = clamp(Math.floor(initialConcurrency ?? this.maxConcurrency / 2), this.minConcurrency, this.maxConcurrency);
+        this.rps = clamp(initialRps ?? this.maxRps / 2, this.minRps, this.maxRps);
+
+        this.inFlight = 0;
+        this.waiters = [];
+        this.nextSlotAt = 0;
+        this.pausedUntil = 0;
+        this.healthyStreak = 0;
+
+        this.stats = {
+            requests: 0,
+            ok: 0,
+            rateLimited: 0,
+            serverErrors: 0,
+            networkErrors: 0,
+            slowResponses: 0,
+            increases: 0,
+            decreases: 0,
+            retryAfterPauses: 0,
+            retries: 0,
+            byStatus: {},
+            queuedMs: 0,
+            totalLatencyMs: 0,
+            lowestConcurrency: this.concurrency,
+            highestConcurrency: this.concurrency,
+            lowestRps: this.rps,
+            highestRps: this.rps,
+        };
+    }
+
+    /**
+     * Wait for an in-flight slot and the next rate slot. Call `release()` with the outcome afterwards.
+     * @param {{ retry?: boolean }} [options] `retry` marks a repeat attempt of an earlier request
+     */
+    async acquire({ retry = false } = {}) {
+        const queuedAt = Date.now();
+        while (this.inFlight >= this.concurrency) {
+            await new Promise((resolve) => { this.waiters.push(resolve); });
+        }
+        this.inFlight += 1;
+
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlotAt, this.pausedUntil);
+        this.nextSlotAt = slot + 1000 / this.rps;
+        if (slot > now) await sleep(slot - now);
+
+        this.stats.requests += 1;
+        if (retry) this.stats.retries += 1;
+        this.stats.queuedMs += Date.now() - queuedAt;
+        return { startedAt: Date.now() };
+    }
+
+    /**
+     * Report the outcome of a request started with `acquire()`.
+     * @param {{ startedAt: number }} ticket
+     * @param {{ status?: number, error?: boolean, retryAfter?: string | null }} outcome
+     */
+    release(ticket, { status, error = false, retryAfter = null } = {}) {
+        this.inFlight = Math.max(0, this.inFlight - 1);
+        const latency = Date.now() - ticket.startedAt;
+        this.stats.totalLatencyMs += latency;
+        const statusKey = error ? 'network_error' : String(status ?? 'unknown');
+        this.stats.byStatus[statusKey] = (this.stats.byStatus[statusKey] || 0) + 1;
+
+        if (status === 429) {
+            this.stats.rateLimited += 1;
+            let pauseMs = parseRetryAfter(retryAfter);
+            // A misconfigured or hostile header must not stall the whole run
+            if (pauseMs > this.maxRetryAfterMs) {
+                log.warning(`Retry-After asked for ${Math.round(pauseMs / 1000)}s; pausing for the ${Math.round(this.maxRetryAfterMs / 1000)}s cap instead`);
+                pauseMs = this.maxRetryAfterMs;
+            }
+            if (pauseMs) {
+                this.pausedUntil = Math.max(this.pausedUntil, Date.now() + pauseMs);
+                this.stats.retryAfterPauses += 1;
+                log.debug(`Retry-After received: pausing new requests for ${Math.round(pauseMs)}ms`);
+            }
+            this.decrease(RATE_LIMIT_FACTOR);
+        } else if (error || status >= 500) {
+            if (error) this.stats.networkErrors += 1;
+            else this.stats.serverErrors += 1;
+            this.decrease(SERVER_ERROR_FACTOR);
+        } else if (latency > this.latencyCeilingMs) {
+            this.stats.slowResponses += 1;
+            this.decrease(SERVER_ERROR_FACTOR);
+        } else {
+            this.stats.ok += 1;
+            this.healthyStreak += 1;
+            if (this.healthyStreak >= this.concurrency) this.increase();
+        }
+
+        this.wake();
+    }
+
+    increase() {
+        this.healthyStreak = 0;
+        if (this.concurrency >= this.maxConcurrency && this.rps >= this.maxRps) return;
+        this.concurrency = Math.min(this.maxConcurrency, this.concurrency + 1);
+        this.rps = Math.min(this.maxRps, this.rps + RATE_INCREASE_STEP);
+        this.stats.increases += 1;
+        this.track();
+    }
+
+    decrease(factor) {
+        this.healthyStreak = 0;
+        this.concurrency = Math.max(this.minConcurrency, Math.floor(this.concurrency * factor));
+        this.rps = Math.max(this.minRps, this.rps * factor);
+        this.stats.decreases += 1;
+        this.track();
+        log.debug(`Rate limiter backing off: concurrency=${this.concurrency}, rps=${this.rps.toFixed(2)}`);
+    }
+
+    track() {
+        this.stats.lowestConcurrency = Math.min(this.stats.lowestConcurrency, this.concurrency);
+        this.stats.highestConcurrency = Math.max(this.stats.highestConcurrency, this.concurrency);
+        this.stats.lowestRps = Math.min(this.stats.lowestRps, this.rps);
+        this.stats.highestRps = Math.max(this.stats.highestRps, this.rps);
+    }
+
+    wake() {
+        // Woken waiters re-check for a free slot themselves, so wake at most as many as are free
+        let free = this.concurrency - this.inFlight;
+        while (free > 0 && this.waiters.length) {
+            this.waiters.shift()();
+            free -= 1;
+        }
+    }
+
+    getStats() {
+        const { requests, totalLatencyMs, ...rest } = this.stats;
+        return {
+            requests,
+            ...rest,
+            averageLatencyMs: requests ? Math.round(totalLatencyMs / requests) : 0,
+            finalConcurrency: this.concurrency,
+            finalRps: Number(this.rps.toFixed(2)),
+        };
+    }
+
+    logStats() {
+        const s = this.getStats();
+        log.info(
+            `Rate stats — ${s.requests} requests, ${s.ok} ok, ${s.rateLimited} × 429, ${s.serverErrors} × 5xx, ` +
+            `${s.networkErrors} network errors; concurrency ${s.lowestConcurrency}–${s.highestConcurrency} (final ${s.finalConcurrency}), ` +
+            `rps ${s.lowestRps.toFixed(2)}–${s.highestRps.toFixed(2)} (final ${s.finalRps}), avg latency ${s.averageLatencyMs}ms`,
+        );
+    }
+}
@@ -0,0 +1,133 @@
+import { log } from 'apify';
+
+// ─── Run report ───────────────────────────────────────────────────────────────
+// Structured summary of a run for the RUN_REPORT record: list pages, detail
+// enrichment, records dropped before output and how well each output field is filled.
+
+export const RUN_REPORT_KEY = 'RUN_REPORT';
+
+// Fields every listing is expected to carry; checked against `min_fill_rate`
+export const DEFAULT_QUALITY_FIELDS = ['title', 'company', 'location', 'url', 'posted_at', 'description_text'];
+
+// Detail outcomes that count as enriched; `fallback` means the record holds list data only
+const ENRICHED = ['fetched', 'cached'];
+
+function percent(part, whole) {
+    return whole ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+export function isFilled(value) {
+    if (value == null || value === '') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'object') return Object.values(value).some(isFilled);
+    return true;
+}
+
+/**
+ * Collects run statistics while the scrape runs. Counters survive a restart through
+ * `toState()`; field fill counts are rebuilt from the records already saved.
+ */
+export class RunReport {
+    constructor({ pages = [], details = {}, dropped = {} } = {}) {
+        this.pages = pages;
+        this.details = { fetched: 0, cached: 0, fallback: 0, ...details };
+        this.dropped = { duplicate: 0, cross_posted: 0, filtered: 0, unchanged: 0, stale: 0, ...dropped };
+        this.records = 0;
+        this.filled = {};
+    }
+
+    recordPage({ search, page, listed, saved, durationMs, error = false }) {
+        this.pages.push({ search, page, listed, saved, duration_ms: durationMs, error });
+    }
+
+    recordDetail(outcome) {
+        this.details[outcome] = (this.details[outcome] || 0) + 1;
+    }
+
+    recordDrop(reason, count = 1) {
+        this.dropped[reason] = (this.dropped[reason] || 0) + count;
+    }
+
+    addRecords(records) {
+        for (const record of records) {
+            this.records += 1;
+            for (const [field, value] of Object.entries(record)) {
+                this.filled[field] ??= 0;
+                if (isFilled(value)) this.filled[field] += 1;
+            }
+        }
+    }
+
+    /**
+     * Share of detail lookups (fetched or cached) that returned detail data, in percent.
+     */
+    detailCoverage() {
+        const enriched = ENRICHED.reduce((sum, outcome) => sum + this.details[outcome], 0);
+        return percent(enriched, enriched + this.details.fallback);
+    }
+
+    fillRates() {
+        return Object.fromEntries(
+            Object.keys(this.filled).sort().map((field) => [field, percent(this.filled[field], this.records)]),
+        );
+    }
+
+    /**
+     * Threshold violations as readable messages; empty when the run passes.
+     * Fields no record carries count as 0% filled.
+     */
+    checkThresholds({ minDetailCoverage, minFillRate, fields = DEFAULT_QUALITY_FIELDS } = {}) {
+        const failures = [];
+        const coverage = this.detailCoverage();
+        if (minDetailCoverage != null && coverage != null && coverage < minDetailCoverage) {
+            failures.push(`detail coverage ${coverage}% is below ${minDetailCoverage}%`);
+        }
+        if (minFillRate != null && this.records) {
+            const rates = this.fillRates();
+            for (const field of fields) {
+                const rate = rates[field] ?? 0;
+                if (rate < minFillRate) failures.push(`field "${field}" is filled in ${rate}% of records, below ${minFillRate}%`);
+            }
+        }
+        return failures;
+    }
+
+    toState() {
+        return { pages: this.pages, details: this.details, dropped: this.dropped };
+    }
+
+    toRecord({ requests, elapsedMs, schemaDrift, thresholds, failures = [] } = {}) {
+        const timed = this.pages.filter((p) => p.duration_ms != null);
+        const durations = timed.map((p) => p.duration_ms);
+        const lookups = Object.values(this.details).reduce((sum, n) => sum + n, 0);
+        return {
+            generated_at: new Date().toISOString(),
+            elapsed_ms: elapsedMs,
+            records: this.records,
+            requests,
+            pages: {
+                fetched: this.pages.length,
+                failed: this.pages.filter((p) => p.error).length,
+                average_ms: durations.length ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length) : null,
+                slowest_ms: durations.length ? Math.max(...durations) : null,
+                by_page: this.pages,
+            },
+            details: { lookups, ...this.details, coverage: this.detailCoverage() },
+            dropped: this.dropped,
+            field_fill_rates: this.fillRates(),
+            schema_drift: schemaDrift,
+            thresholds,
+            passed: failures.length === 0,
+            failures,
+        };
+    }
+
+    logSummary(record) {
+        const { pages, details, dropped } = record;
+        log.info(
+            `Run report — ${pages.fetched} pages (${pages.failed} failed, avg ${pages.average_ms ?? '?'}ms), `
+            + `detail coverage ${details.coverage ?? '?'}% (${details.fallback} list-only), `
+            + `${dropped.duplicate} duplicates and ${dropped.filtered} filtered out — see ${RUN_REPORT_KEY}`,
+        );
+    }
+}
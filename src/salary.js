@@ -0,0 +1,160 @@
+// ─── Salary normalization ─────────────────────────────────────────────────────
+// Reads free-text salaries ("$120,000 - $150,000/yr", "$65/hr", "DOE") and the
+// JSON-LD `baseSalary` MonetaryAmount into numeric min/max/currency/period fields.
+
+const PERIODS_PER_YEAR = { hour: 2080, day: 260, week: 52, month: 12, year: 1 };
+
+const PERIOD_PATTERNS = [
+    ['hour', /\b(?:hour|hourly|hr|hrs|ph)\b/i],
+    ['day', /\b(?:day|daily)\b/i],
+    ['week', /\b(?:week|weekly|wk)\b/i],
+    ['month', /\b(?:month|monthly|mo)\b/i],
+    ['year', /\b(?:year|yearly|yr|annual|annually|annum|pa)\b/i],
+];
+
+const CURRENCY_PATTERNS = [
+    ['USD', /\$|\busd\b/i],
+    ['EUR', /€|\beur\b/i],
+    ['GBP', /£|\bgbp\b/i],
+    ['CAD', /\bcad\b/i],
+];
+
+const UNIT_TEXT = { HOUR: 'hour', DAY: 'day', WEEK: 'week', MONTH: 'month', YEAR: 'year' };
+
+function toNumber(value) {
+    if (value == null || value === '') return undefined;
+    const n = typeof value === 'number' ? value : Number(String(value).replace(/[^0-9.]/g, ''));
+    return Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+// Text joining the two figures of a range: "100-120K", "$90k to $110k", "£40,000 - £50,000"
+const RANGE_RE = /^\s*(?:-|–|—|to)\s*[$€£]?\s*$/i;
+
+// Figures that are not pay: the 401(k) plan and hour counts such as "40 hrs/week"
+function isNotPay(text, match) {
+    const after = text.slice(match.index + match[1].length);
+    return (match[1] === '401' && /^\s*\(?k\b/i.test(after)) || /^\s*(?:hrs?|hours?)\b/i.test(after);
+}
+
+/**
+ * Pay figures in the text as { value, ranged }, where `ranged` marks a figure joined to
+ * the one before it by a range separator. A `k` after the second figure of a range
+ * applies to both.
+ */
+function parseAmounts(text) {
+    const amounts = [];
+    const re = /(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)\s*(k)?\b/gi;
+    let match;
+    let previous;
+    while ((match = re.exec(text)) !== null) {
+        if (isNotPay(text, match)) {
+            previous = null;
+            continue;
+        }
+        const n = Number(match[1].replace(/,/g, ''));
+        const thousands = Boolean(match[2]);
+        const ranged = Boolean(previous) && RANGE_RE.test(text.slice(previous.end, match.index));
+        if (ranged && thousands && !previous.thousands && previous.value < 1000) {
+            amounts[amounts.length - 1].value = previous.value * 1000;
+        }
+        if (Number.isFinite(n) && n > 0) amounts.push({ value: thousands ? n * 1000 : n, ranged });
+        previous = { value: n, thousands, end: match.index + match[0].length };
+    }
+    return amounts;
+}
+
+function inferPeriod(amount) {
+    if (amount == null) return undefined;
+    if (amount <= 300) return 'hour';
+    if (amount >= 10000) return 'year';
+    return undefined;
+}
+
+/**
+ * Convert an amount paid per `period` into a yearly amount.
+ */
+export function annualize(amount, period) {
+    if (amount == null || !PERIODS_PER_YEAR[period]) return undefined;
+    return Math.round(amount * PERIODS_PER_YEAR[period]);
+}
+
+/**
+ * Parse a free-text salary. Returns {} for text without figures ("DOE", "Competitive").
+ */
+export function parseSalaryText(text) {
+    const value = typeof text === 'string' || typeof text === 'number' ? String(text).trim() : '';
+    if (!value) return {};
+
+    const amounts = parseAmounts(value);
+    if (!amounts.length) return {};
+
+    // Only a figure joined to the first by a range separator makes a range; a single figure
+    // is an exact amount unless worded as a bound ("Up to", "From", "$90k+")
+    const first = amounts[0].value;
+    const second = amounts[1]?.ranged ? amounts[1].value : undefined;
+    const upTo = second == null && /\bup\s+to\b|\bmax(?:imum)?\b/i.test(value);
+    const from = second == null && /\bfrom\b|\bstarting\b|\bmin(?:imum)?\b|\+/i.test(value);
+    const min = upTo ? undefined : Math.min(first, second ?? first);
+    const max = from ? undefined : Math.max(first, second ?? first);
+
+    const currency = CURRENCY_PATTERNS.find(([, re]) => re.test(value))?.[0];
+    const period = PERIOD_PATTERNS.find(([, re]) => re.test(value))?.[0] || inferPeriod(max ?? min);
+
+    return { min, max, currency, period };
+}
+
+/**
+ * Read the schema.org `baseSalary` object:
+ * { currency, value: { value | minValue | maxValue, unitText } }.
+ */
+export function parseBaseSalary(baseSalary) {
+    if (!baseSalary || typeof baseSalary !== 'object') return {};
+    const quantity = baseSalary.value && typeof baseSalary.value === 'object' ? baseSalary.value : baseSalary;
+    const exact = toNumber(typeof baseSalary.value === 'object' ? quantity.value : baseSalary.value);
+    const min = toNumber(quantity.minValue) ?? exact;
+    const max = toNumber(quantity.maxValue) ?? exact;
+    const unit = String(quantity.unitText || baseSalary.unitText || '').toUpperCase();
+    return {
+        min,
+        max,
+        currency: baseSalary.currency || quantity.currency || undefined,
+        period: UNIT_TEXT[unit] || inferPeriod(max ?? min),
+    };
+}
+
+/**
+ * Merge the structured JSON-LD salary with the free-text salary and emit output fields.
+ * JSON-LD figures win; the text fills whatever JSON-LD leaves out.
+ */
+export function normalizeSalary(text, baseSalary) {
+    const ld = parseBaseSalary(baseSalary);
+    const fromText = parseSalaryText(text);
+    const hasLdFigures = ld.min != null || ld.max != null;
+
+    const min = hasLdFigures ? ld.min : fromText.min;
+    const max = hasLdFigures ? ld.max : fromText.max;
+    const period = (hasLdFigures ? ld.period : undefined) || fromText.period;
+    const currency = ld.currency || fromText.currency || (min != null || max != null ? 'USD' : undefined);
+
+    const midpoint = min != null && max != null ? (min + max) / 2 : (min ?? max);
+    const annualized = annualize(midpoint, period);
+
+    return {
+        salary_min: min,
+        salary_max: max,
+        salary_currency: currency,
+        salary_period: period,
+        salary_annualized: annualized,
+    };
+}
+
+/**
+ * Build a predicate for the `min_salary` input (annual amount).
+ * Jobs without a salary that can be annualized are dropped while the filter is active.
+ * Returns null when no filter is configured.
+ */
+export function createSalaryFilter(minSalary) {
+    const threshold = toNumber(minSalary);
+    if (threshold == null) return null;
+    return (record) => record?.salary_annualized != null && record.salary_annualized >= threshold;
+}
@@ -0,0 +1,184 @@
+import { Actor, log } from 'apify';
+
+import { getValueCaseInsensitive, normalizeSpace } from './utils.js';
+
+// ─── Schema drift ─────────────────────────────────────────────────────────────
+// Profiles the raw list and detail payloads (key paths, value types, custom block
+// labels) and compares them with a baseline kept in a named key-value store, so API
+// changes show up on the first run they happen instead of as empty columns weeks later.
+
+export const SCHEMA_BASELINE_KEY = 'SCHEMA_BASELINE';
+export const SCHEMA_DRIFT_KEY = 'SCHEMA_DRIFT';
+
+export const PAYLOAD_KINDS = ['list', 'detail'];
+
+// Deeper paths are mostly free-form content (JSON-LD, HTML fragments) rather than API shape
+const MAX_DEPTH = 3;
+
+// A baseline field or label counts as missing when it was in at least this share of payloads
+const MISSING_RATIO = 0.5;
+
+function typeOf(value) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Key paths and their value types in a payload: `company.name`, `customBlockList[].label`.
+ */
+export function collectPaths(value, prefix = '', depth = 0, out = new Map()) {
+    if (depth >= MAX_DEPTH) return out;
+    const entries = Array.isArray(value)
+        ? value.map((item) => [`${prefix}[]`, item])
+        : Object.entries(value).map(([key, item]) => [prefix ? `${prefix}.${key}` : key, item]);
+    for (const [path, item] of entries) {
+        if (!out.has(path)) out.set(path, new Set());
+        out.get(path).add(typeOf(item));
+        if (item && typeof item === 'object') collectPaths(item, path, depth + 1, out);
+    }
+    return out;
+}
+
+function customBlockLabels(payload) {
+    return Object.entries(payload)
+        .filter(([key, value]) => /^customblock/i.test(key) && Array.isArray(value))
+        .flatMap(([, blocks]) => blocks)
+        .map((block) => block && typeof block === 'object'
+            && normalizeSpace(String(getValueCaseInsensitive(block, 'label') || getValueCaseInsensitive(block, 'title') || '')))
+        .filter(Boolean);
+}
+
+function emptyProfile() {
+    return {
+        list: { samples: 0, fields: {} },
+        detail: { samples: 0, fields: {} },
+        custom_block_labels: {},
+    };
+}
+
+/**
+ * Compare a run's profile with the baseline. Reports fields the baseline never saw,
+ * fields the baseline usually saw that never appeared, fields that arrived with a
+ * non-null type the baseline never saw, and the same for custom block labels.
+ */
+export function compareProfiles(baseline, current) {
+    const drift = { new_fields: [], missing_fields: [], type_changes: [], new_labels: [], missing_labels: [] };
+
+    for (const kind of PAYLOAD_KINDS) {
+        const before = baseline[kind];
+        const now = current[kind];
+        if (!now.samples) continue;
+        for (const [path, { types }] of Object.entries(now.fields)) {
+            const known = before.fields[path];
+            if (!known) {
+                drift.new_fields.push({ payload: kind, path, types });
+                continue;
+            }
+            const added = types.filter((t) => t !== 'null' && !known.types.includes(t));
+            if (added.length) drift.type_changes.push({ payload: kind, path, baseline: known.types, current: types });
+        }
+        for (const [path, { seen }] of Object.entries(before.fields)) {
+            if (!now.fields[path] && before.samples && seen / before.samples >= MISSING_RATIO) {
+                drift.missing_fields.push({ payload: kind, path });
+            }
+        }
+    }
+
+    const baselinePayloads = baseline.list.samples + baseline.detail.samples;
+    const currentPayloads = current.list.samples + current.detail.samples;
+    for (const label of Object.keys(current.custom_block_labels)) {
+        if (!(label in baseline.custom_block_labels)) drift.new_labels.push(label);
+    }
+    if (currentPayloads) {
+        for (const [label, seen] of Object.entries(baseline.custom_block_labels)) {
+            if (!(label in current.custom_block_labels) && seen / baselinePayloads >= MISSING_RATIO) {
+                drift.missing_labels.push(label);
+            }
+        }
+    }
+    return drift;
+}
+
+/**
+ * Records the shape of every raw payload seen during the run.
+ */
+export class SchemaProfiler {
+    constructor(store, baseline = null, profile = emptyProfile()) {
+        this.store = store;
+        this.baseline = baseline;
+        this.profile = profile;
+    }
+
+    static async open(storeName) {
+        const store = await Actor.openKeyValueStore(storeName);
+        const baseline = await store.getValue(SCHEMA_BASELINE_KEY);
+        return new SchemaProfiler(store, baseline && typeof baseline === 'object' ? baseline : null);
+    }
+
+    /**
+     * Restore the profile of a run that was interrupted.
+     */
+    restore(profile) {
+        if (profile) this.profile = profile;
+    }
+
+    observe(kind, payloads) {
+        const target = this.profile[kind];
+        for (const payload of payloads) {
+            if (!payload || typeof payload !== 'object') continue;
+            target.samples += 1;
+            for (const [path, types] of collectPaths(payload)) {
+                target.fields[path] ??= { types: [], seen: 0 };
+                const field = target.fields[path];
+                field.seen += 1;
+                for (const type of types) if (!field.types.includes(type)) field.types.push(type);
+            }
+            for (const label of new Set(customBlockLabels(payload))) {
+                this.profile.custom_block_labels[label] = (this.profile.custom_block_labels[label] || 0) + 1;
+            }
+        }
+    }
+
+    /**
+     * Compare with the baseline, store a first baseline (or replace it when asked)
+     * and return the drift record.
+     */
+    async finish({ updateBaseline = false } = {}) {
+        const record = {
+            generated_at: new Date().toISOString(),
+            samples: { list: this.profile.list.samples, detail: this.profile.detail.samples },
+            baseline_created_at: this.baseline?.created_at ?? null,
+        };
+        if (this.baseline) {
+            Object.assign(record, compareProfiles(this.baseline, this.profile));
+            record.drift = ['new_fields', 'missing_fields', 'type_changes', 'new_labels', 'missing_labels']
+                .some((key) => record[key].length > 0);
+        } else {
+            record.drift = false;
+        }
+
+        const samples = this.profile.list.samples + this.profile.detail.samples;
+        if (samples && (!this.baseline || updateBaseline)) {
+            await this.store.setValue(SCHEMA_BASELINE_KEY, { created_at: record.generated_at, ...this.profile });
+            log.info(this.baseline ? 'Schema baseline replaced with this run\'s payloads' : 'Schema baseline created from this run\'s payloads');
+            record.baseline_updated = true;
+        }
+        return record;
+    }
+}
+
+/**
+ * One-line summary per drift category, for the log and the run report.
+ */
+export function summarizeDrift(record) {
+    if (!record.drift) return [];
+    const fields = (items) => items.map((i) => `${i.payload}:${i.path}`).join(', ');
+    return [
+        record.new_fields.length && `new fields: ${fields(record.new_fields)}`,
+        record.missing_fields.length && `missing fields: ${fields(record.missing_fields)}`,
+        record.type_changes.length && `type changes: ${record.type_changes.map((c) => `${c.payload}:${c.path} ${c.baseline.join('|')} → ${c.current.join('|')}`).join(', ')}`,
+        record.new_labels.length && `new custom block labels: ${record.new_labels.join(', ')}`,
+        record.missing_labels.length && `missing custom block labels: ${record.missing_labels.join(', ')}`,
+    ].filter(Boolean);
+}
@@ -0,0 +1,390 @@
+import { log } from 'apify';
+
+import { parseDate } from './dates.js';
+import { fetchWithRetry, pMap } from './http.js';
+import { getChangeStamp } from './incremental.js';
+import { buildDedupKey, mapApiJob } from './mapping.js';
+import { tagSkills } from './skills.js';
+import { BASE, extractFromBlocks, getValueCaseInsensitive, normalizeUrl, safeJson } from './utils.js';
+
+// ─── Core scraping pipeline ───────────────────────────────────────────────────
+
+/**
+ * Fetch one list page and return { data, hasNext, total, perPage }.
+ * `total` and `perPage` come from the paginator's `meta` block and are null when absent.
+ */
+export async function fetchListPage(clientManager, endpoint, searchParams, page) {
+    const qs = new URLSearchParams();
+    for (const [key, value] of Object.entries({ ...searchParams, page: String(page) })) {
+        for (const v of [].concat(value)) qs.append(key, v);
+    }
+    const url = `${endpoint}?${qs.toString()}`;
+
+    try {
+        const res = await fetchWithRetry(clientManager, url, {}, 5);
+        if (!res || res.status >= 400) {
+            log.warning(`List API HTTP ${res?.status ?? 'unknown'} on page ${page}`);
+            return { data: [], hasNext: false, error: true };
+        }
+
+        const body = await res.text();
+        const json = safeJson(body);
+
+        if (!json || typeof json !== 'object') {
+            log.warning(`Non-JSON response on page ${page}`);
+            return { data: [], hasNext: false, error: true };
+        }
+
+        const dataKey = Object.keys(json).find(k => k.toLowerCase() === 'data');
+        const data = dataKey && Array.isArray(json[dataKey]) ? json[dataKey] : [];
+
+        const linksKey = Object.keys(json).find(k => k.toLowerCase() === 'links');
+        const links = linksKey ? json[linksKey] : null;
+        const nextKey = links ? Object.keys(links).find(k => k.toLowerCase() === 'next') : null;
+        const hasNext = nextKey ? Boolean(links[nextKey]) : false;
+
+        const rawTotal = getValueCaseInsensitive(json, 'meta.total');
+        const perPage = Number(getValueCaseInsensitive(json, 'meta.per_page'));
+
+        return {
+            data,
+            hasNext,
+            total: rawTotal != null && Number.isFinite(Number(rawTotal)) ? Number(rawTotal) : null,
+            perPage: perPage > 0 ? perPage : data.length || null,
+            error: false,
+        };
+    } catch (err) {
+        log.warning(`Failed to fetch page ${page}: ${err.message}`);
+        return { data: [], hasNext: false, error: true };
+    }
+}
+
+/**
+ * Fetch one job detail and return the merged record.
+ * With a detail cache, unchanged listings are merged from the cached payload without a request.
+ * The outcome (fetched, cached or fallback to list data) is counted on `report` when given,
+ * and freshly fetched payloads are handed to the schema `profiler`. `mapOptions` go to mapApiJob.
+ */
+export async function fetchJobDetail(clientManager, job, { baseUrl = BASE, detailCache, report, profiler, mapOptions = {} } = {}) {
+    const jobId = getValueCaseInsensitive(job, 'id');
+    if (jobId == null) {
+        report?.recordDetail('fallback');
+        return mapApiJob(job, {}, mapOptions);
+    }
+    const cached = detailCache ? await detailCache.get(job) : null;
+    if (cached) {
+        report?.recordDetail('cached');
+        return mapApiJob(job, cached, mapOptions);
+    }
+    try {
+        const res = await fetchWithRetry(clientManager, `${baseUrl}/api/v1/jobs/${jobId}`, {}, 2);
+        if (res && res.status < 400) {
+            const body = await res.text();
+            const detailJson = safeJson(body);
+            const dataKey = detailJson ? Object.keys(detailJson).find(k => k.toLowerCase() === 'data') : null;
+            const detail = dataKey ? detailJson[dataKey] : {};
+            if (detailCache && dataKey && detail) await detailCache.set(job, detail);
+            report?.recordDetail(dataKey && detail ? 'fetched' : 'fallback');
+            if (dataKey && detail) profiler?.observe('detail', [detail]);
+            return mapApiJob(job, detail || {}, mapOptions);
+        }
+    } catch (err) {
+        log.debug(`Detail fetch failed for job ${jobId}: ${err.message}`);
+    }
+    report?.recordDetail('fallback');
+    return mapApiJob(job, {}, mapOptions);
+}
+
+/**
+ * Fetch a job's detail to learn whether it is still listed.
+ * Returns { httpStatus, detail }; httpStatus is null when the request itself failed.
+ */
+export async function fetchJobStatus(clientManager, jobId, { baseUrl = BASE } = {}) {
+    try {
+        const res = await fetchWithRetry(clientManager, `${baseUrl}/api/v1/jobs/${jobId}`, {}, 2);
+        if (!res) return { httpStatus: null, detail: null };
+        if (res.status >= 400) return { httpStatus: res.status, detail: null };
+        const detailJson = safeJson(await res.text());
+        const dataKey = detailJson ? Object.keys(detailJson).find(k => k.toLowerCase() === 'data') : null;
+        return { httpStatus: res.status, detail: dataKey ? detailJson[dataKey] : null };
+    } catch (err) {
+        log.debug(`Status check failed for job ${jobId}: ${err.message}`);
+        return { httpStatus: null, detail: null };
+    }
+}
+
+/**
+ * Record delivered jobs in the incremental and history stores. Call it only once the
+ * records are in the dataset: a job remembered here counts as delivered on the next run.
+ */
+export async function saveDeliveredState(records, { incrementalState, history }) {
+    if (incrementalState) {
+        for (const item of records) incrementalState.remember(buildDedupKey(item), getChangeStamp(item));
+        await incrementalState.save();
+    }
+    await history?.save(records);
+}
+
+/**
+ * What the checks before enrichment need from a list job, read from its raw fields rather
+ * than a full mapping: the dedup key (null without an id or URL), the change stamp and the
+ * latest date it carries (ms). A listing's posting date is never later than that date, so
+ * jobs older than the posted cutoff here can be skipped before their detail fetch.
+ */
+function readListJob(job) {
+    const id = getValueCaseInsensitive(job, 'id');
+    const url = normalizeUrl(getValueCaseInsensitive(job, 'url'));
+    const modifiedTime = getValueCaseInsensitive(job, 'modified_time');
+    const blocks = getValueCaseInsensitive(job, 'customBlockList');
+    const stamps = [
+        extractFromBlocks(Array.isArray(blocks) ? blocks : [], 'posted'),
+        getValueCaseInsensitive(job, 'posted_date'),
+        getValueCaseInsensitive(job, 'created_at'),
+        modifiedTime,
+    ].map((value) => parseDate(value)).filter((ts) => ts != null);
+    return {
+        key: id != null || url ? buildDedupKey({ id, url }) : null,
+        stamp: getChangeStamp({ modified_time: modifiedTime }),
+        timestamp: stamps.length ? Math.max(...stamps) : null,
+    };
+}
+
+export async function collectFromApi({
+    searchParams,
+    maxPages,
+    resultsWanted,
+    seen,
+    dataset,
+    clientManager,
+    incrementalState,
+    recordFilter,
+    searchLabel,
+    matchIndex,
+    detailCache,
+    onListPage,
+    postedCutoff,
+    notifier,
+    startPage = 1,
+    startSaved = 0,
+    onProgress,
+    firstPage,
+    report,
+    profiler,
+    duplicates,
+    mapOptions = {},
+    skillTaxonomy,
+    history,
+    // The dataset only holds the records until the caller's final flush, which then saves the delivered state
+    holdsRecords = false,
+    baseUrl = BASE,
+}) {
+    let saved = startSaved;
+    let page = startPage;
+    const endpoint = `${baseUrl}/api/v1/jobs`;
+
+    const fetchPage = (pageNumber) => fetchListPage(clientManager, endpoint, searchParams, pageNumber).catch((err) => {
+        log.warning(`Failed to fetch page ${pageNumber}: ${err.message}`);
+        return { data: [], hasNext: false, error: true };
+    });
+    const recordPage = ({ pageNumber, startedAt, listed = 0, pageSaved = 0, error = false }) => report?.recordPage({
+        search: searchLabel,
+        page: pageNumber,
+        listed,
+        saved: pageSaved,
+        durationMs: Date.now() - startedAt,
+        error,
+    });
+
+    const noteDuplicate = (key) => {
+        report?.recordDrop('duplicate');
+        // Same job matched by an earlier search: record this query on the kept record
+        const kept = matchIndex?.get(key);
+        if (kept && !kept.matched_queries.includes(searchLabel)) kept.matched_queries.push(searchLabel);
+    };
+
+    // Prefetch the first page immediately, unless the caller already has it
+    let nextPagePromise = firstPage ? Promise.resolve(firstPage) : fetchPage(page);
+
+    while (saved < resultsWanted && page <= maxPages) {
+        const startedAt = Date.now();
+
+        // Await the already-in-flight list request, or fetch it now if it was not prefetched
+        const { data, hasNext, error } = await (nextPagePromise ?? fetchPage(page));
+        nextPagePromise = null;
+
+        if (!data.length) {
+            recordPage({ pageNumber: page, startedAt, error });
+            if (error) {
+                log.warning(`Page ${page} failed with error. Skipping to next page.`);
+                const isLastPage = page >= maxPages;
+                if (!isLastPage && saved < resultsWanted) {
+                    nextPagePromise = fetchPage(page + 1);
+                }
+                page += 1;
+                continue;
+            } else {
+                log.info(`Page ${page}: no jobs found — stopping`);
+                break;
+            }
+        }
+
+        onListPage?.(data);
+        profiler?.observe('list', data);
+        const listInfo = new Map(data.map((job) => [job, readListJob(job)]));
+
+        const isLastPage = !hasNext || page >= maxPages;
+
+        // ── Skip listings last touched before the posted cutoff ───────────────
+        // Checked before the prefetch so a stale page under date sort ends the search
+        let pending = data;
+        if (postedCutoff != null) {
+            pending = pending.filter((job) => {
+                const ts = listInfo.get(job).timestamp;
+                return ts == null || ts >= postedCutoff;
+            });
+            report?.recordDrop('stale', data.length - pending.length);
+            if (!pending.length) {
+                recordPage({ pageNumber: page, startedAt, listed: data.length });
+                if (searchParams.sort === 'date') {
+                    log.info(`Page ${page}: every listing is older than the posted cutoff — stopping`);
+                    break;
+                }
+                log.info(`Page ${page}: every listing is older than the posted cutoff`);
+                if (isLastPage) break;
+                page += 1;
+                continue;
+            }
+        }
+
+        // ── Kick off next page fetch in parallel with detail fetches ──────────
+        if (!isLastPage && saved + data.length < resultsWanted) {
+            nextPagePromise = fetchPage(page + 1);
+        }
+
+        // ── Skip jobs an earlier search or page already saved ─────────────────
+        // Before enrichment, so a job matched by several searches is fetched once
+        const unseen = pending.length;
+        pending = pending.filter((job) => {
+            const { key } = listInfo.get(job);
+            if (!key || !seen.has(key)) return true;
+            noteDuplicate(key);
+            return false;
+        });
+        if (!pending.length) {
+            recordPage({ pageNumber: page, startedAt, listed: data.length });
+            log.info(`Page ${page}: every job was already saved`);
+            if (isLastPage) break;
+            page += 1;
+            continue;
+        }
+        if (unseen > pending.length) log.debug(`Page ${page}: skipped ${unseen - pending.length} jobs already saved`);
+
+        // ── Skip jobs already delivered unchanged in a previous run ───────────
+        if (incrementalState) {
+            const fresh = pending.length;
+            pending = pending.filter((job) => {
+                const { key, stamp } = listInfo.get(job);
+                return !key || incrementalState.classify(key, stamp) !== null;
+            });
+            report?.recordDrop('unchanged', fresh - pending.length);
+            if (!pending.length) {
+                recordPage({ pageNumber: page, startedAt, listed: data.length });
+                if (searchParams.sort === 'date') {
+                    log.info(`Page ${page}: nothing new since last run — stopping`);
+                    break;
+                }
+                log.info(`Page ${page}: nothing new since last run`);
+                if (isLastPage) break;
+                page += 1;
+                continue;
+            }
+        }
+
+        const limiter = clientManager.rateLimiter;
+        log.info(`Page ${page}: enriching ${pending.length} jobs (concurrency=${limiter.concurrency}, rps=${limiter.rps.toFixed(1)})`);
+
+        // ── Fetch job details; the rate limiter decides how many run at once ──
+        const results = await pMap(
+            pending,
+            async (job) => {
+                try {
+                    return await fetchJobDetail(clientManager, job, { baseUrl, detailCache, report, profiler, mapOptions });
+                } catch (err) {
+                    log.warning(`Failed to process job ${getValueCaseInsensitive(job, 'id') ?? 'unknown'}: ${err.message}`);
+                    report?.recordDetail('fallback');
+                    return mapApiJob(job, {}, mapOptions);
+                }
+            },
+            limiter.maxConcurrency,
+        );
+
+        // ── Dedup + cap ───────────────────────────────────────────────────────
+        const uniqueBatch = [];
+        for (const item of results) {
+            if (saved >= resultsWanted) break;
+            const key = buildDedupKey(item);
+            if (!key) continue;
+            if (seen.has(key)) {
+                noteDuplicate(key);
+                continue;
+            }
+            if (skillTaxonomy) Object.assign(item, tagSkills(item, skillTaxonomy));
+            if (recordFilter && !recordFilter(item)) {
+                report?.recordDrop('filtered');
+                continue;
+            }
+            if (incrementalState) {
+                const changeType = incrementalState.classify(key, getChangeStamp(item));
+                if (!changeType) {
+                    report?.recordDrop('unchanged');
+                    continue;
+                }
+                item.change_type = changeType;
+            }
+            // Only accepted jobs count as seen: a job one search filters out can still pass another's filters
+            seen.add(key);
+            if (duplicates) {
+                const { groupId, duplicate } = duplicates.assign(item);
+                if (duplicate && duplicates.mode === 'keep-first') {
+                    report?.recordDrop('cross_posted');
+                    continue;
+                }
+                item.duplicate_group_id = groupId;
+            }
+            if (matchIndex) {
+                item.search_query = searchLabel;
+                item.matched_queries = [searchLabel];
+                matchIndex.set(key, item);
+            }
+            uniqueBatch.push(item);
+            saved += 1;
+        }
+
+        let pageSaved = 0;
+        if (uniqueBatch.length) {
+            try {
+                await history?.annotate(uniqueBatch);
+                await dataset.pushData(uniqueBatch);
+                pageSaved = uniqueBatch.length;
+                const wanted = Number.isFinite(resultsWanted) ? `/${resultsWanted}` : '';
+                log.info(`Page ${page}: saved ${uniqueBatch.length} jobs — total ${saved}${wanted}`);
+                notifier?.addAll(uniqueBatch);
+                if (!holdsRecords) await saveDeliveredState(uniqueBatch, { incrementalState, history });
+                // Once per saved page: a restart resumes at the next one
+                await onProgress?.({ page: page + 1, saved });
+            } catch (err) {
+                log.error(`Failed to push data to dataset: ${err.message}`);
+            }
+        }
+
+        recordPage({ pageNumber: page, startedAt, listed: data.length, pageSaved });
+
+        if (isLastPage || saved >= resultsWanted) break;
+        page += 1;
+    }
+
+    // ── Send this search's new jobs to the webhook ────────────────────────────
+    await notifier?.flush(searchLabel);
+
+    return saved;
+}
@@ -0,0 +1,97 @@
+import { createHash } from 'node:crypto';
+
+import { log } from 'apify';
+
+import { BASE, normalizeSpace } from './utils.js';
+
+// ─── Search inputs ────────────────────────────────────────────────────────────
+
+// Query params with a dedicated input, matched case-insensitively in a startUrl
+const KNOWN_SEARCH_PARAMS = ['keywords', 'city_state_zip', 'sort', 'locale', 'location_remote_option_filter', 'radius'];
+// Driven by the pagination loop, never forwarded from a startUrl or extra_params
+const RESERVED_SEARCH_PARAMS = new Set(['page']);
+
+/**
+ * Build the /api/v1/jobs query. Input fields come first, every parameter found in
+ * the startUrl overrides them, and `extraParams` is applied last.
+ * Repeated parameters (e.g. `filter[]=a&filter[]=b`) are kept as arrays.
+ */
+export function buildSearchParams({ startUrl, keywords, location, remoteOption, radius, extraParams }) {
+    const params = { locale: 'en', sort: 'date', keywords };
+    if (location) params.city_state_zip = location;
+    if (remoteOption) params.location_remote_option_filter = remoteOption;
+    if (radius && location) params.radius = String(radius);
+
+    if (startUrl) {
+        try {
+            const parsed = new URL(startUrl, BASE);
+            for (const rawKey of new Set(parsed.searchParams.keys())) {
+                const lower = rawKey.toLowerCase();
+                if (RESERVED_SEARCH_PARAMS.has(lower)) continue;
+                const key = KNOWN_SEARCH_PARAMS.includes(lower) ? lower : rawKey;
+                const values = parsed.searchParams.getAll(rawKey);
+                params[key] = values.length > 1 ? values : values[0];
+            }
+        } catch (err) {
+            log.warning(`Invalid startUrl: ${err.message}`);
+        }
+    }
+
+    if (extraParams && typeof extraParams === 'object') {
+        for (const [key, value] of Object.entries(extraParams)) {
+            if (RESERVED_SEARCH_PARAMS.has(key.toLowerCase()) || value == null || value === '') continue;
+            params[key] = Array.isArray(value) ? value.map(String) : String(value);
+        }
+    }
+    return params;
+}
+
+/**
+ * Stable short hash of a search's query params, independent of their order.
+ */
+export function hashSearchParams(searchParams) {
+    const canonical = Object.keys(searchParams)
+        .sort()
+        .map((k) => [k, searchParams[k]]);
+    return createHash('sha1').update(JSON.stringify(canonical)).digest('hex').slice(0, 16);
+}
+
+export function toPositiveInt(value, fallback) {
+    return Number.isFinite(+value) && +value >= 1 ? Math.floor(+value) : fallback;
+}
+
+/**
+ * Normalize one search definition: either a start URL string or an object with
+ * startUrl / keywords / location / remote_option / radius / extra_params /
+ * results_wanted / max_pages / label.
+ */
+export function normalizeSearch(entry, defaults) {
+    const raw = typeof entry === 'string' ? { startUrl: entry } : (entry || {});
+
+    let startUrl = typeof raw.startUrl === 'string' ? raw.startUrl.trim() : '';
+    if (startUrl && !/^https?:\/\//i.test(startUrl)) {
+        startUrl = `https://${startUrl}`;
+    }
+    const keywords = typeof raw.keywords === 'string' ? normalizeSpace(raw.keywords) : '';
+    const location = typeof raw.location === 'string' ? normalizeSpace(raw.location) : '';
+    const remoteOption = typeof raw.remote_option === 'string' ? normalizeSpace(raw.remote_option) : '';
+    const radius = Number.isFinite(+raw.radius) && +raw.radius > 0 ? +raw.radius : undefined;
+
+    const label = normalizeSpace(raw.label || '') ||
+        startUrl ||
+        [keywords || 'all jobs', location && `in ${location}`, remoteOption && `(${remoteOption})`].filter(Boolean).join(' ');
+
+    return {
+        label,
+        searchParams: buildSearchParams({
+            startUrl,
+            keywords,
+            location,
+            remoteOption,
+            radius,
+            extraParams: { ...defaults.extraParams, ...raw.extra_params },
+        }),
+        resultsWanted: toPositiveInt(raw.results_wanted, defaults.resultsWanted),
+        maxPages: toPositiveInt(raw.max_pages, defaults.maxPages),
+    };
+}
@@ -0,0 +1,247 @@
+import http from 'node:http';
+
+import { log } from 'apify';
+
+import { parseDate } from './dates.js';
+import { getPostedTimestamp } from './filters.js';
+import { normalizeSpace } from './utils.js';
+
+// ─── Serve mode ───────────────────────────────────────────────────────────────
+// Keeps mapped records in an in-memory index that the scrape pipeline refreshes on
+// an interval, and answers queries on it over a small local HTTP API.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Fields `q` searches; every word of the query has to appear in one of them
+const SEARCH_FIELDS = ['title', 'company', 'location', 'short_description', 'description_text', 'skills'];
+
+function lower(value) {
+    return normalizeSpace([].concat(value ?? []).join(' ')).toLowerCase();
+}
+
+function countBy(records, field) {
+    const counts = {};
+    for (const record of records) {
+        const key = record[field] ?? 'unknown';
+        counts[key] = (counts[key] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * Mapped records by job id. A refresh replaces records it finds again; `retain` then
+ * drops the ones it did not find, so expired and removed postings leave the index.
+ */
+export class JobIndex {
+    constructor() {
+        this.records = new Map();
+    }
+
+    get size() {
+        return this.records.size;
+    }
+
+    upsert(records) {
+        for (const record of records) {
+            if (record?.id != null) this.records.set(String(record.id), record);
+        }
+    }
+
+    /**
+     * Keep only the records whose id is in `ids`; returns how many were dropped.
+     */
+    retain(ids) {
+        let dropped = 0;
+        for (const id of this.records.keys()) {
+            if (!ids.has(id)) {
+                this.records.delete(id);
+                dropped += 1;
+            }
+        }
+        return dropped;
+    }
+
+    get(id) {
+        return this.records.get(String(id)) ?? null;
+    }
+
+    /**
+     * Records matching every given filter, newest first. `clearance` takes a comma-separated
+     * list of clearance levels, `company` a case-insensitive part of the name, `since`
+     * anything parseDate reads. Throws on an unreadable `since` or paging value.
+     */
+    query({ clearance, q, company, since, limit, offset } = {}, now = Date.now()) {
+        const filters = [];
+        if (clearance) {
+            const levels = String(clearance).split(',').map((c) => lower(c)).filter(Boolean);
+            filters.push((r) => levels.includes(lower(r.clearance_level)));
+        }
+        if (company) {
+            const part = lower(company);
+            filters.push((r) => lower(r.company).includes(part));
+        }
+        if (q) {
+            const words = lower(q).split(' ');
+            filters.push((r) => {
+                const text = SEARCH_FIELDS.map((f) => lower(r[f])).join('\n');
+                return words.every((w) => text.includes(w));
+            });
+        }
+        if (since) {
+            const cutoff = parseDate(since, now);
+            if (cutoff == null) throw new Error(`since "${since}" is not a readable date`);
+            filters.push((r) => (getPostedTimestamp(r) ?? -Infinity) >= cutoff);
+        }
+
+        const pageSize = limit == null || limit === '' ? DEFAULT_LIMIT : Number(limit);
+        const start = offset == null || offset === '' ? 0 : Number(offset);
+        if (!Number.isInteger(pageSize) || pageSize < 1) throw new Error('limit must be a positive integer');
+        if (!Number.isInteger(start) || start < 0) throw new Error('offset must be a non-negative integer');
+
+        const matches = [...this.records.values()]
+            .filter((r) => filters.every((f) => f(r)))
+            .sort((a, b) => (getPostedTimestamp(b) ?? -Infinity) - (getPostedTimestamp(a) ?? -Infinity));
+        const items = matches.slice(start, start + Math.min(pageSize, MAX_LIMIT));
+        return { total: matches.length, offset: start, count: items.length, items };
+    }
+
+    stats() {
+        const records = [...this.records.values()];
+        const companies = Object.entries(countBy(records, 'company'))
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 10)
+            .map(([name, jobs]) => ({ name, jobs }));
+        return {
+            jobs: records.length,
+            by_clearance_level: countBy(records, 'clearance_level'),
+            by_job_family: countBy(records, 'job_family'),
+            top_companies: companies,
+        };
+    }
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * HTTP API over a JobIndex that refreshes it with `refresh(push)` on an interval.
+ * `refresh` runs the scrape and hands each batch of records to `push`.
+ */
+export class JobServer {
+    constructor(index = new JobIndex()) {
+        this.index = index;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.stopped = false;
+        this.wake = null;
+        this.stats = { refreshes: 0, failed: 0, last_started_at: null, last_finished_at: null, last_duration_ms: null, last_saved: null, last_dropped: null, last_error: null, next_refresh_at: null };
+    }
+
+    async listen(port, host) {
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, resolve);
+        });
+        return this.server.address().port;
+    }
+
+    handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method !== 'GET') {
+            send(res, 405, { error: `${req.method} is not supported` });
+            return;
+        }
+        // `/` doubles as the readiness probe of the platform's standby mode
+        if (url.pathname === '/' || url.pathname === '/stats') {
+            send(res, 200, { ...this.index.stats(), refresh: this.stats });
+            return;
+        }
+        if (url.pathname === '/jobs') {
+            let result;
+            try {
+                result = this.index.query(Object.fromEntries(url.searchParams));
+            } catch (err) {
+                send(res, 400, { error: err.message });
+                return;
+            }
+            send(res, 200, result);
+            return;
+        }
+        const idMatch = url.pathname.match(/^\/jobs\/([^/]+)$/);
+        let id;
+        try {
+            id = idMatch && decodeURIComponent(idMatch[1]);
+        } catch {
+            send(res, 400, { error: `Malformed job id ${idMatch[1]}` });
+            return;
+        }
+        const record = id && this.index.get(id);
+        if (record) send(res, 200, record);
+        else send(res, 404, { error: idMatch ? `No job with id ${idMatch[1]}` : `Unknown path ${url.pathname}` });
+    }
+
+    /**
+     * Run one refresh and drop the records it did not find again. A failed refresh is
+     * logged and counted; the index keeps all its records.
+     */
+    async refresh(refresh) {
+        const startedAt = Date.now();
+        this.stats.last_started_at = new Date(startedAt).toISOString();
+        let saved = 0;
+        let dropped = 0;
+        const found = new Set();
+        try {
+            await refresh((records) => {
+                this.index.upsert(records);
+                for (const record of records) if (record?.id != null) found.add(String(record.id));
+                saved += records.length;
+            });
+            dropped = this.index.retain(found);
+            this.stats.last_error = null;
+        } catch (err) {
+            this.stats.failed += 1;
+            this.stats.last_error = err.message;
+            log.warning(`Refresh failed: ${err.message}`);
+        }
+        this.stats.refreshes += 1;
+        this.stats.last_finished_at = new Date().toISOString();
+        this.stats.last_duration_ms = Date.now() - startedAt;
+        this.stats.last_saved = saved;
+        this.stats.last_dropped = dropped;
+        log.info(`Refresh ${this.stats.refreshes}: ${saved} jobs scraped, ${dropped} no longer listed, ${this.index.size} in the index`);
+    }
+
+    /**
+     * Refresh now and then every `intervalMs` until stop(); the server closes afterwards.
+     */
+    async run(refresh, intervalMs) {
+        while (!this.stopped) {
+            await this.refresh(refresh);
+            if (this.stopped) break;
+            this.stats.next_refresh_at = new Date(Date.now() + intervalMs).toISOString();
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, intervalMs);
+                this.wake = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+            });
+        }
+        this.stats.next_refresh_at = null;
+        await this.close();
+    }
+
+    stop() {
+        this.stopped = true;
+        this.wake?.();
+    }
+
+    close() {
+        return new Promise((resolve) => {
+            this.server.closeAllConnections();
+            this.server.close(() => resolve());
+        });
+    }
+}
@@ -0,0 +1,199 @@
+import { escapeRegExp, normalizeSpace } from './utils.js';
+
+// ─── Skills taxonomy ──────────────────────────────────────────────────────────
+// Tags each record with the cleared-market skills its title and description mention
+// and a job family. The bundled taxonomy can be extended from the input.
+
+// [skill, category, aliases]; aliases match case-insensitively as whole words. A skill's
+// name is not matched unless listed, so names that are ordinary words (Go, Remedy,
+// Targeting, Acquisition) only match their qualified aliases
+export const DEFAULT_SKILL_TAXONOMY = [
+    ['Python', 'language', ['python', 'pyspark']],
+    ['Java', 'language', ['java', 'j2ee', 'jee', 'spring boot']],
+    ['JavaScript', 'language', ['javascript', 'node.js', 'nodejs', 'react.js', 'reactjs', 'angularjs', 'vue.js']],
+    ['TypeScript', 'language', ['typescript']],
+    ['C++', 'language', ['c++', 'cpp']],
+    ['C#', 'language', ['c#', 'csharp']],
+    ['.NET', 'language', ['.net', 'asp.net', 'dotnet']],
+    ['Go', 'language', ['golang', 'go language']],
+    ['Rust', 'language', ['rust programming', 'rust language', 'rustlang']],
+    ['Ruby', 'language', ['ruby on rails', 'ruby programming']],
+    ['Scala', 'language', ['scala']],
+    ['Perl', 'language', ['perl']],
+    ['MATLAB', 'language', ['matlab']],
+    ['PowerShell', 'language', ['powershell']],
+    ['Bash', 'language', ['bash', 'shell scripting']],
+    ['SQL', 'data', ['sql', 't-sql', 'pl/sql']],
+    ['PostgreSQL', 'data', ['postgresql', 'postgres']],
+    ['Oracle Database', 'data', ['oracle database', 'oracle db', 'oracle rdbms']],
+    ['MongoDB', 'data', ['mongodb']],
+    ['Elasticsearch', 'data', ['elasticsearch', 'elastic stack', 'elk stack']],
+    ['Hadoop', 'data', ['hadoop', 'hdfs']],
+    ['Spark', 'data', ['apache spark', 'spark sql', 'pyspark']],
+    ['Tableau', 'data', ['tableau']],
+    ['Power BI', 'data', ['power bi', 'powerbi']],
+    ['Machine Learning', 'data', ['machine learning', 'deep learning', 'tensorflow', 'pytorch']],
+    ['AWS', 'cloud', ['aws', 'amazon web services']],
+    ['AWS GovCloud', 'cloud', ['govcloud', 'aws govcloud']],
+    ['Azure', 'cloud', ['azure', 'azure government']],
+    ['Google Cloud', 'cloud', ['gcp', 'google cloud']],
+    ['C2S / SC2S', 'cloud', ['c2s', 'sc2s', 'commercial cloud services']],
+    ['Kubernetes', 'devops', ['kubernetes', 'k8s', 'eks', 'aks']],
+    ['OpenShift', 'devops', ['openshift']],
+    ['Docker', 'devops', ['docker', 'podman']],
+    ['Terraform', 'devops', ['terraform']],
+    ['Ansible', 'devops', ['ansible']],
+    ['Jenkins', 'devops', ['jenkins']],
+    ['Git', 'devops', ['git', 'github', 'gitlab', 'bitbucket']],
+    ['CI/CD', 'devops', ['ci/cd', 'continuous integration', 'continuous delivery', 'continuous deployment']],
+    ['Linux', 'systems', ['linux', 'rhel', 'red hat enterprise linux', 'centos', 'ubuntu']],
+    ['Windows Server', 'systems', ['windows server']],
+    ['Active Directory', 'systems', ['active directory']],
+    ['VMware', 'systems', ['vmware', 'vsphere', 'esxi', 'vcenter']],
+    ['Cisco', 'network', ['cisco', 'ios-xe', 'nx-os']],
+    ['Juniper', 'network', ['juniper networks', 'junos']],
+    ['Palo Alto', 'network', ['palo alto networks', 'palo alto firewall', 'pan-os']],
+    ['Routing and Switching', 'network', ['routing and switching', 'routing & switching', 'bgp', 'ospf', 'eigrp']],
+    ['TCP/IP', 'network', ['tcp/ip']],
+    ['SD-WAN', 'network', ['sd-wan', 'sdwan']],
+    ['VPN', 'network', ['vpn', 'ipsec']],
+    ['Taclane', 'network', ['taclane', 'haipe']],
+    ['SIGINT', 'isr', ['sigint', 'signals intelligence']],
+    ['ELINT', 'isr', ['elint']],
+    ['GEOINT', 'isr', ['geoint', 'geospatial intelligence', 'imagery analysis']],
+    ['HUMINT', 'isr', ['humint', 'human intelligence']],
+    ['OSINT', 'isr', ['osint', 'open source intelligence', 'publicly available information']],
+    ['ISR', 'isr', ['isr', 'intelligence, surveillance and reconnaissance', 'intelligence, surveillance, and reconnaissance']],
+    ['All-Source Analysis', 'isr', ['all-source', 'all source', 'all-source analysis']],
+    ['Targeting', 'isr', ['target development', 'targeteering', 'target systems analysis', 'f3ead']],
+    ['ArcGIS', 'isr', ['arcgis', 'esri']],
+    ['Palantir', 'isr', ['palantir', 'palantir gotham', 'palantir foundry']],
+    ["Analyst's Notebook", 'isr', ["analyst's notebook", 'analysts notebook', 'i2 analyst']],
+    ['Software Defined Radio', 'isr', ['software defined radio', 'sdr', 'gnu radio']],
+    ['Wireshark', 'security', ['wireshark', 'tcpdump']],
+    ['Splunk', 'security', ['splunk']],
+    ['ArcSight', 'security', ['arcsight']],
+    ['QRadar', 'security', ['qradar']],
+    ['ACAS / Nessus', 'security', ['acas', 'nessus', 'tenable.sc', 'tenable nessus']],
+    ['HBSS / ESS', 'security', ['hbss', 'endpoint security solutions', 'trellix', 'mcafee epo']],
+    ['CrowdStrike', 'security', ['crowdstrike']],
+    ['Metasploit', 'security', ['metasploit']],
+    ['Burp Suite', 'security', ['burp suite']],
+    ['Penetration Testing', 'security', ['penetration testing', 'pen testing', 'pentest', 'red team']],
+    ['Incident Response', 'security', ['incident response', 'incident handling']],
+    ['Digital Forensics', 'security', ['digital forensics', 'forensics', 'encase', 'ftk']],
+    ['Threat Hunting', 'security', ['threat hunting', 'cyber threat intelligence']],
+    ['Zero Trust', 'security', ['zero trust']],
+    ['RMF', 'compliance', ['rmf', 'risk management framework']],
+    ['ATO', 'compliance', ['ato', 'authority to operate', 'authorization to operate']],
+    ['eMASS', 'compliance', ['emass']],
+    ['STIG', 'compliance', ['stig', 'stigs', 'scap']],
+    ['NIST 800-53', 'compliance', ['nist 800-53', 'sp 800-53', '800-53']],
+    ['NIST 800-171 / CMMC', 'compliance', ['800-171', 'cmmc']],
+    ['FedRAMP', 'compliance', ['fedramp']],
+    ['ICD 503', 'compliance', ['icd 503', 'icd-503']],
+    ['ServiceNow', 'itsm', ['servicenow', 'service now']],
+    ['Remedy', 'itsm', ['bmc remedy', 'remedy itsm', 'remedyforce']],
+    ['SharePoint', 'itsm', ['sharepoint']],
+    ['Jira', 'itsm', ['jira']],
+    ['Confluence', 'itsm', ['confluence', 'atlassian confluence']],
+    ['Agile', 'management', ['agile methodology', 'agile methodologies', 'agile development', 'agile software development', 'scrum', 'kanban', 'scaled agile']],
+    ['Earned Value Management', 'management', ['earned value', 'earned value management', 'evms', 'evm']],
+    ['MS Project', 'management', ['ms project', 'microsoft project']],
+    ['Budgeting', 'management', ['budget execution', 'budget formulation', 'ppbe']],
+    ['Acquisition', 'management', ['dod acquisition', 'acquisition lifecycle', 'far/dfars', 'dfars']],
+];
+
+// First family whose title pattern matches wins, so more specific families come first;
+// infrastructure roles such as systems administrators count as network
+const JOB_FAMILIES = [
+    ['program_management', /\b(?:program|project|portfolio)\s+(?:manager|management|director|lead|analyst|control)|\bpmo\b|\bscrum master\b|\bproduct owner\b|\bdeputy program\b/i],
+    ['cyber', /\bcyber|\bsecurity (?:engineer|analyst|architect|specialist|administrator)|\bisso\b|\bissm\b|\bisse\b|information (?:security|assurance)|\bsoc\b|penetration|vulnerability|incident response|\brmf\b|red team|forensic/i],
+    ['software', /\bsoftware|\bdeveloper|\bprogrammer|full[\s-]?stack|front[\s-]?end|back[\s-]?end|\bdevops\b|\bdevsecops\b|\bsre\b|site reliability|data (?:engineer|scientist)|machine learning|\bweb\b|application (?:engineer|developer)/i],
+    ['network', /\bnetwork|\bsys(?:tems?)? admin|\bcommunications? (?:engineer|technician|specialist)|\btelecom|\bwan\b|\blan\b|\bvoip\b|\brf engineer|\bsatcom\b|\bwireless\b/i],
+    ['intel_analyst', /\bintel(?:ligence)?\b|all[\s-]source|\bsigint\b|\bgeoint\b|\bhumint\b|\bosint\b|\belint\b|\bimagery\b|\btarget(?:ing|eer)\b|\bcollection manag|counterintelligence|\breporter\b|\blinguist\b/i],
+];
+
+// Families suggested by skill categories when the title alone says nothing
+const CATEGORY_FAMILIES = {
+    language: 'software',
+    devops: 'software',
+    data: 'software',
+    security: 'cyber',
+    compliance: 'cyber',
+    network: 'network',
+    isr: 'intel_analyst',
+    management: 'program_management',
+};
+
+function aliasPattern(aliases) {
+    const alternatives = aliases.map((a) => escapeRegExp(normalizeSpace(a).toLowerCase()).replace(/ /g, '\\s+'));
+    // Symbols count as part of a word so `c++`, `c#` and `.net` neither match inside nor next to other words
+    return new RegExp(`(?<![\\w+#.])(?:${alternatives.join('|')})(?![\\w+#])`, 'i');
+}
+
+/**
+ * The bundled taxonomy extended with `{ "Skill": ["alias", ...] }` from the input.
+ * Aliases of a skill that already exists (matched case-insensitively) are added to it;
+ * new skills from the input also match their own name.
+ */
+export function buildSkillTaxonomy(extra = {}) {
+    const skills = DEFAULT_SKILL_TAXONOMY.map(([name, category, aliases]) => ({ name, category, aliases: [...aliases] }));
+    for (const [name, aliases] of Object.entries(extra || {})) {
+        const extraAliases = [].concat(aliases || []).map(String).filter(Boolean);
+        const existing = skills.find((s) => s.name.toLowerCase() === name.toLowerCase());
+        if (existing) existing.aliases.push(...extraAliases);
+        else skills.push({ name, category: 'custom', aliases: [name, ...extraAliases] });
+    }
+    return skills.map((skill) => ({ ...skill, pattern: aliasPattern(skill.aliases) }));
+}
+
+const DEFAULT_TAXONOMY = buildSkillTaxonomy();
+
+/**
+ * Skill names the text mentions, in taxonomy order.
+ */
+export function findSkills(text, taxonomy = DEFAULT_TAXONOMY) {
+    if (!text) return [];
+    return taxonomy.filter((skill) => skill.pattern.test(text)).map((skill) => skill.name);
+}
+
+/**
+ * Job family from the title, or else from the categories of at least two matched skills.
+ */
+export function classifyJobFamily(title, skills = [], taxonomy = DEFAULT_TAXONOMY) {
+    const byTitle = JOB_FAMILIES.find(([, re]) => re.test(title || ''));
+    if (byTitle) return byTitle[0];
+
+    const votes = {};
+    for (const name of skills) {
+        const family = CATEGORY_FAMILIES[taxonomy.find((s) => s.name === name)?.category];
+        if (family) votes[family] = (votes[family] || 0) + 1;
+    }
+    const [best] = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+    return best && best[1] >= 2 ? best[0] : null;
+}
+
+/**
+ * `skills` and `job_family` for a mapped record.
+ */
+export function tagSkills(record, taxonomy = DEFAULT_TAXONOMY) {
+    const text = [record.title, record.short_description, record.description_text].filter(Boolean).join('\n');
+    const skills = findSkills(text, taxonomy);
+    return { skills, job_family: classifyJobFamily(record.title, skills, taxonomy) };
+}
+
+/**
+ * Keep records tagged with every one of the skills; names and aliases resolve to the
+ * taxonomy's skill names, and a skill the taxonomy does not know is an input error.
+ */
+export function createSkillsFilter(requiredSkills, taxonomy = DEFAULT_TAXONOMY) {
+    if (!Array.isArray(requiredSkills) || !requiredSkills.length) return null;
+    const wanted = requiredSkills.map((required) => {
+        const text = normalizeSpace(String(required));
+        const skill = taxonomy.find((s) => s.name.toLowerCase() === text.toLowerCase()) || taxonomy.find((s) => s.pattern.test(text));
+        if (!skill) throw new Error(`Unknown skill "${required}"; add it to skills_taxonomy to filter on it`);
+        return skill.name;
+    });
+    return (record) => wanted.every((name) => record?.skills?.includes(name));
+}
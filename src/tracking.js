@@ -0,0 +1,131 @@
+import { Actor, log } from 'apify';
+
+import { pMap } from './http.js';
+import { fetchJobStatus } from './scraper.js';
+import { hashSearchParams } from './search.js';
+import { BASE, getValueCaseInsensitive, normalizeSpace } from './utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Detail `status` values that mean the posting is no longer accepting applicants
+const CLOSED_STATUS_RE = /expired|closed|filled|inactive|archived|cancel|deleted|removed/i;
+
+/**
+ * Stable store key for a search, so tracking survives reordering of query params.
+ */
+export function trackingKeyFor(searchParams) {
+    return `TRACKING-${hashSearchParams(searchParams)}`;
+}
+
+/**
+ * Classify a detail re-check of a job that dropped out of the list results.
+ * Returns 'removed', 'expired', 'still_open', or null when the check was inconclusive.
+ */
+export function classifyRecheck({ httpStatus, detail }) {
+    if (httpStatus === 404 || httpStatus === 410) return 'removed';
+    if (httpStatus == null || httpStatus >= 400) return null;
+    if (!detail || typeof detail !== 'object') return 'removed';
+    const status = normalizeSpace(String(getValueCaseInsensitive(detail, 'status') ?? ''));
+    return CLOSED_STATUS_RE.test(status) ? 'expired' : 'still_open';
+}
+
+/**
+ * Per-search memory of listed job ids with first/last seen timestamps.
+ * Each search gets its own key-value record; see `trackingKeyFor`.
+ */
+export class JobTracker {
+    constructor(store, key, jobs = {}, now = new Date()) {
+        this.store = store;
+        this.key = key;
+        this.jobs = jobs;
+        this.runAt = now.toISOString();
+        this.listedThisRun = new Set();
+    }
+
+    static async open(storeName, searchParams) {
+        const store = await Actor.openKeyValueStore(storeName || undefined);
+        const key = trackingKeyFor(searchParams);
+        const saved = await store.getValue(key);
+        const jobs = saved && typeof saved.jobs === 'object' ? saved.jobs : {};
+        return new JobTracker(store, key, jobs);
+    }
+
+    /**
+     * Record every job from a list page, whether or not it ends up in the output.
+     */
+    observe(listJobs) {
+        for (const job of listJobs) {
+            const id = getValueCaseInsensitive(job, 'id');
+            if (id == null) continue;
+            const key = String(id);
+            this.listedThisRun.add(key);
+            const known = this.jobs[key];
+            this.jobs[key] = {
+                first_seen: known?.first_seen || this.runAt,
+                last_seen: this.runAt,
+                title: normalizeSpace(getValueCaseInsensitive(job, 'title') || '') || known?.title,
+                url: getValueCaseInsensitive(job, 'url') || known?.url,
+            };
+        }
+    }
+
+    /**
+     * Previously tracked ids that did not show up in this run's list results.
+     */
+    missingIds() {
+        return Object.keys(this.jobs).filter((id) => !this.listedThisRun.has(id));
+    }
+
+    /**
+     * Apply a re-check outcome and return the event record, or null when inconclusive.
+     * Closed jobs are dropped from tracking so they are not checked again.
+     */
+    resolve(id, outcome, checkedAt = new Date()) {
+        const known = this.jobs[id];
+        if (!known || !outcome) return null;
+
+        const checked = checkedAt.toISOString();
+        if (outcome === 'still_open') {
+            known.last_seen = checked;
+        } else {
+            delete this.jobs[id];
+        }
+
+        const lastSeen = outcome === 'still_open' ? checked : known.last_seen;
+        return {
+            event: outcome,
+            job_id: Number.isFinite(+id) ? +id : id,
+            title: known.title,
+            url: known.url,
+            first_seen: known.first_seen,
+            last_seen: lastSeen,
+            checked_at: checked,
+            days_open: Math.round(((Date.parse(lastSeen) - Date.parse(known.first_seen)) / DAY_MS) * 10) / 10,
+        };
+    }
+
+    async save() {
+        await this.store.setValue(this.key, { updatedAt: new Date().toISOString(), jobs: this.jobs });
+        log.debug(`Tracking: saved ${Object.keys(this.jobs).length} jobs under ${this.key}`);
+    }
+}
+
+/**
+ * Re-check tracked jobs missing from this run's list results against the detail
+ * endpoint and return the resulting events. At most `maxChecks` ids are checked,
+ * longest-unseen first; the rest wait for a later run.
+ */
+export async function recheckMissingJobs(clientManager, tracker, { baseUrl = BASE, maxChecks = Infinity } = {}) {
+    const missing = tracker.missingIds()
+        .sort((a, b) => Date.parse(tracker.jobs[a].last_seen) - Date.parse(tracker.jobs[b].last_seen))
+        .slice(0, maxChecks);
+    if (!missing.length) return [];
+
+    log.info(`Tracking: re-checking ${missing.length} jobs missing from the list results`);
+    const outcomes = await pMap(
+        missing,
+        async (id) => classifyRecheck(await fetchJobStatus(clientManager, id, { baseUrl })),
+        clientManager.rateLimiter.maxConcurrency,
+    );
+    return missing.map((id, i) => tracker.resolve(id, outcomes[i])).filter(Boolean);
+}
@@ -0,0 +1,102 @@
+// ─── Utilities ────────────────────────────────────────────────────────────────
+
+// Overridable so the whole actor can be pointed at a local stand-in of the site
+export const BASE = process.env.CLEAREDJOBS_BASE_URL || 'https://clearedjobs.net';
+
+export function sleep(ms) {
+    return new Promise((resolve) => { setTimeout(resolve, ms); });
+}
+
+export function normalizeSpace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+export function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "Job Reference ID" / "isFeatured" → "job_reference_id" / "is_featured"
+export function toSnakeCase(text) {
+    return String(text || '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+export function safeJson(text) {
+    try { return JSON.parse(text); } catch { return null; }
+}
+
+export function normalizeUrl(value) {
+    if (!value) return null;
+    try {
+        const parsed = new URL(value, BASE);
+        parsed.hash = '';
+        parsed.searchParams.delete('ref');
+        return parsed.href;
+    } catch { return null; }
+}
+
+// Strips null / empty strings / empty arrays / empty objects recursively
+export function compactValue(value) {
+    if (value === null || value === undefined) return undefined;
+    if (typeof value === 'string') {
+        const s = normalizeSpace(value);
+        return s || undefined;
+    }
+    if (Array.isArray(value)) {
+        const cleaned = value.map(compactValue).filter((e) => e !== undefined);
+        return cleaned.length ? cleaned : undefined;
+    }
+    if (typeof value === 'object') {
+        const cleaned = /** @type {Record<string, unknown>} */ ({});
+        for (const [k, v] of Object.entries(value)) {
+            const c = compactValue(v);
+            if (c !== undefined) cleaned[k] = c;
+        }
+        return Object.keys(cleaned).length ? cleaned : undefined;
+    }
+    return value;
+}
+
+export function compactRecord(record) {
+    return compactValue(record) || {};
+}
+
+export function parseJsonLd(input) {
+    if (!input) return {};
+    if (typeof input === 'string') {
+        const parsed = safeJson(input) || {};
+        if (Array.isArray(parsed)) return parsed.find((e) => e && typeof e === 'object') || {};
+        return typeof parsed === 'object' ? parsed : {};
+    }
+    if (Array.isArray(input)) return input.find((e) => e && typeof e === 'object') || {};
+    return typeof input === 'object' ? input : {};
+}
+
+export function getValueCaseInsensitive(obj, path) {
+    if (!obj || typeof obj !== 'object') return undefined;
+    const parts = path.toLowerCase().split('.');
+    let current = obj;
+    for (const part of parts) {
+        if (!current || typeof current !== 'object') return undefined;
+        const keys = Object.keys(current);
+        const matchedKey = keys.find(k => k.toLowerCase() === part);
+        if (matchedKey === undefined) return undefined;
+        current = current[matchedKey];
+    }
+    return current;
+}
+
+export function extractFromBlocks(blocks, label) {
+    if (!Array.isArray(blocks)) return null;
+    const target = label.toLowerCase();
+    const block = blocks.find((b) => {
+        if (!b || typeof b !== 'object') return false;
+        const bLabel = getValueCaseInsensitive(b, 'label') || getValueCaseInsensitive(b, 'title');
+        return String(bLabel || '').toLowerCase().trim() === target;
+    });
+    const val = block ? getValueCaseInsensitive(block, 'value') : null;
+    return val ? normalizeSpace(String(val)) : null;
+}
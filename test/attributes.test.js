@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { buildAttributes, createAttributeMapping, typeAttributeValue } from '../src/attributes.js';
+
+describe('typeAttributeValue', () => {
+    test('reads travel as the highest percentage given', () => {
+        assert.equal(typeAttributeValue('travel_percent', 'Up to 25%'), 25);
+        assert.equal(typeAttributeValue('travel_percent', '10% - 25% domestic'), 25);
+        assert.equal(typeAttributeValue('travel_percent', 'None'), 0);
+        assert.equal(typeAttributeValue('travel_percent', 'Occasional'), 'Occasional');
+    });
+
+    test('types yes / no and bare percentages for any label', () => {
+        assert.deepEqual(
+            ['Yes', 'no', 'N', 'True', '50%', 'Up to 20 %', '3686372', ' Day  shift '].map((v) => typeAttributeValue('x', v)),
+            [true, false, false, true, 50, 20, '3686372', 'Day shift'],
+        );
+        assert.equal(typeAttributeValue('x', 12), 12);
+    });
+});
+
+describe('buildAttributes', () => {
+    const blocks = [
+        { label: 'Travel', value: '10%' },
+        { label: 'Clearance Sponsorship', value: 'Yes' },
+        { label: 'Job Reference ID', value: '3686372' },
+        { label: 'Travel Required', value: '50%' },
+        { label: 'Shift', value: 'Day' },
+    ];
+
+    test('snake-cases labels, applies the default mapping and keeps the first label per field', () => {
+        assert.deepEqual(buildAttributes(blocks), {
+            travel_percent: 10,
+            clearance_sponsorship: true,
+            job_reference_id: '3686372',
+            shift: 'Day',
+        });
+    });
+
+    test('lets the user rename or drop labels', () => {
+        const mapping = createAttributeMapping({ 'job reference ID': 'Requisition Number', Shift: null, Travel: '' });
+        assert.deepEqual(buildAttributes(blocks, mapping), {
+            clearance_sponsorship: true,
+            requisition_number: '3686372',
+            travel_percent: 50,
+        });
+    });
+});
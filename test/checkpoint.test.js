@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { CHECKPOINT_KEY, CHECKPOINT_STATE_KEY, RunCheckpoint } from '../src/checkpoint.js';
+
+function memoryStore(values = {}) {
+    return {
+        values,
+        writes: [],
+        async getValue(key) {
+            return this.values[key] ?? null;
+        },
+        async setValue(key, value) {
+            this.writes.push(key);
+            this.values[key] = value;
+        },
+    };
+}
+
+const params = { locale: 'en', sort: 'date', keywords: 'python' };
+
+describe('RunCheckpoint', () => {
+    test('saves per-search progress and only the keys pushed since the last save', async () => {
+        const store = memoryStore();
+        const checkpoint = new RunCheckpoint(store);
+        checkpoint.track('runReport', () => ({ saved: 40 }));
+        checkpoint.update(params, { page: 3, saved: 40 });
+        checkpoint.markPushed(['id:1', null, 'id:2']);
+        await checkpoint.save();
+        checkpoint.markPushed(['id:2', 'id:3']);
+        await checkpoint.save();
+        await checkpoint.save();
+
+        const saved = store.values[CHECKPOINT_KEY];
+        assert.deepEqual(Object.values(saved.searches), [{ searchParams: params, page: 3, saved: 40 }]);
+        assert.equal(saved.keyChunks, 2);
+        assert.deepEqual(store.values['CHECKPOINT-KEYS-0'], ['id:1', 'id:2']);
+        assert.deepEqual(store.values['CHECKPOINT-KEYS-1'], ['id:3']);
+        // Tracked state waits for saveState
+        assert.equal(store.values[CHECKPOINT_STATE_KEY], undefined);
+        assert.equal(store.writes.filter((key) => key.startsWith('CHECKPOINT-KEYS')).length, 2);
+        assert.equal(checkpoint.resumed, false);
+    });
+
+    test('saveState writes the tracked state alongside the progress', async () => {
+        const store = memoryStore();
+        const checkpoint = new RunCheckpoint(store);
+        const pending = [{ id: 1 }];
+        checkpoint.track('notifierPending', () => pending);
+        checkpoint.update(params, { page: 2, saved: 10 });
+        pending.push({ id: 2 });
+        await checkpoint.saveState();
+
+        assert.deepEqual(store.values[CHECKPOINT_STATE_KEY], { notifierPending: [{ id: 1 }, { id: 2 }] });
+        assert.equal(store.values[CHECKPOINT_KEY].searches[Object.keys(checkpoint.searches)[0]].page, 2);
+    });
+
+    test('restores progress, keys and state only for the same search params', async () => {
+        const store = memoryStore();
+        const first = new RunCheckpoint(store);
+        first.track('runReport', () => ({ saved: 120 }));
+        first.update(params, { page: 7, saved: 120 });
+        first.update(params, { done: true });
+        first.markPushed(['id:9']);
+        await first.save();
+        first.markPushed(['id:10']);
+        await first.saveState();
+
+        const resumed = await RunCheckpoint.open(store);
+        assert.equal(resumed.resumed, true);
+        assert.deepEqual(resumed.get({ keywords: 'python', sort: 'date', locale: 'en' }), {
+            searchParams: params,
+            page: 7,
+            saved: 120,
+            done: true,
+        });
+        assert.equal(resumed.get({ ...params, keywords: 'java' }), undefined);
+        assert.deepEqual([...resumed.pushedKeys], ['id:9', 'id:10']);
+        assert.deepEqual(resumed.restored('runReport'), { saved: 120 });
+
+        // New keys continue after the restored chunks
+        resumed.markPushed(['id:9', 'id:11']);
+        await resumed.save();
+        assert.deepEqual(store.values['CHECKPOINT-KEYS-2'], ['id:11']);
+    });
+
+    test('open starts fresh without a saved checkpoint', async () => {
+        const checkpoint = await RunCheckpoint.open(memoryStore());
+        assert.equal(checkpoint.resumed, false);
+        assert.equal(checkpoint.pushedKeys.size, 0);
+    });
+
+    test('clear removes the records', async () => {
+        const store = memoryStore();
+        const checkpoint = new RunCheckpoint(store);
+        checkpoint.markPushed(['id:1']);
+        await checkpoint.saveState();
+        await checkpoint.clear();
+        assert.equal(store.values[CHECKPOINT_KEY], null);
+        assert.equal(store.values[CHECKPOINT_STATE_KEY], null);
+        assert.equal(store.values['CHECKPOINT-KEYS-0'], null);
+    });
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { createClearanceFilter, parseClearance } from '../src/clearance.js';
+import { createRecordFilter } from '../src/filters.js';
+import { mapApiJob } from '../src/mapping.js';
+import { loadFixture } from './helpers/mock-server.js';
+
+const FIXTURES = [
+    ['TS/SCI w/ Full Scope Poly', { clearance_level: 'TS/SCI', polygraph: 'full-scope' }],
+    ['Top Secret/SCI with CI Poly', { clearance_level: 'TS/SCI', polygraph: 'CI' }],
+    ['Secret - Active', { clearance_level: 'Secret', polygraph: 'none', clearance_status_required: 'active' }],
+    ['Current Top Secret/SCI', { clearance_level: 'TS/SCI', polygraph: 'none', clearance_status_required: 'current' }],
+    ['Ability to obtain Secret', { clearance_level: 'Secret', polygraph: 'none', clearance_status_required: 'eligible' }],
+    ['NSA TS/SCI with Lifestyle Poly', { clearance_level: 'TS/SCI', polygraph: 'lifestyle', agency: 'NSA' }],
+    ['TS/SCI with Polygraph', { clearance_level: 'TS/SCI', polygraph: 'unspecified' }],
+    ['TS/SCI - No Poly', { clearance_level: 'TS/SCI', polygraph: 'none' }],
+    ['Top Secret', { clearance_level: 'TS', polygraph: 'none' }],
+    ['DOE Q', { clearance_level: 'Q', polygraph: 'none', agency: 'DOE' }],
+    ['Q Clearance', { clearance_level: 'Q', polygraph: 'none', agency: 'DOE' }],
+    ['Secret (Q-level tasks)', { clearance_level: 'Secret', polygraph: 'none' }],
+    ['Top Secret with eligibility for SCI', { clearance_level: 'TS', polygraph: 'none', clearance_status_required: 'active' }],
+    ['TS, SCI eligible', { clearance_level: 'TS', polygraph: 'none', clearance_status_required: 'active' }],
+    ['TS/SCI eligible', { clearance_level: 'TS/SCI', polygraph: 'none', clearance_status_required: 'eligible' }],
+    [
+        'Active Secret and ability to obtain CI Poly',
+        { clearance_level: 'Secret', polygraph: 'CI', clearance_status_required: 'active' },
+    ],
+    ['DOE L Clearance', { clearance_level: 'L', polygraph: 'none', agency: 'DOE' }],
+    ['Public Trust', { clearance_level: 'Public Trust', polygraph: 'none' }],
+    ['DHS Suitability', { clearance_level: 'Public Trust', polygraph: 'none', agency: 'DHS' }],
+    ['Confidential', { clearance_level: 'Confidential', polygraph: 'none' }],
+    ['Unspecified', {}],
+    ['', {}],
+];
+
+describe('parseClearance', () => {
+    for (const [input, expected] of FIXTURES) {
+        test(JSON.stringify(input), () => {
+            const parsed = Object.fromEntries(Object.entries(parseClearance(input)).filter(([, v]) => v !== undefined));
+            assert.deepEqual(parsed, expected);
+        });
+    }
+});
+
+describe('createClearanceFilter', () => {
+    test('returns null without levels', () => {
+        assert.equal(createClearanceFilter([]), null);
+        assert.equal(createClearanceFilter(undefined), null);
+    });
+
+    test('accepts alternate spellings of levels', () => {
+        const keep = createClearanceFilter(['TS-SCI', 'secret']);
+        assert.equal(keep({ clearance_level: 'TS/SCI' }), true);
+        assert.equal(keep({ clearance_level: 'Secret' }), true);
+        assert.equal(keep({ clearance_level: 'TS' }), false);
+        assert.equal(keep({}), false);
+    });
+
+    test('matches levels exactly', () => {
+        const keep = createClearanceFilter(['TS']);
+        assert.equal(keep({ clearance_level: 'TS' }), true);
+        assert.equal(keep({ clearance_level: 'TS/SCI' }), false);
+    });
+});
+
+describe('clearance fields on records', () => {
+    const listJobs = [...loadFixture('list-page-1.json').data, ...loadFixture('list-page-2.json').data];
+    const records = ['1914497', '1915020', '1913388'].map((id) => mapApiJob(
+        listJobs.find((job) => String(job.id) === id),
+        loadFixture(`job-${id}.json`).data,
+    ));
+
+    test('maps the clearance block into structured fields', () => {
+        assert.deepEqual(
+            records.map((r) => [r.clearance_level, r.polygraph, r.clearance_status_required]),
+            [['TS/SCI', 'none', undefined], ['TS/SCI', 'full-scope', undefined], ['Secret', 'none', 'active']],
+        );
+    });
+
+    test('keeps only the requested levels in the record filter', () => {
+        const { recordFilter, descriptions } = createRecordFilter({ clearanceLevels: ['Secret'] });
+        assert.deepEqual(records.filter(recordFilter).map((r) => r.id), [1913388]);
+        assert.deepEqual(descriptions, ['clearance level in Secret']);
+    });
+});
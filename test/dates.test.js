@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { firstIsoDate, parseDate, toIsoDate } from '../src/dates.js';
+import { createPostedAfterFilter, resolvePostedCutoff } from '../src/filters.js';
+import { mapApiJob } from '../src/mapping.js';
+import { loadFixture } from './helpers/mock-server.js';
+
+const NOW = Date.UTC(2026, 6, 15, 12, 0, 0);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('parseDate', () => {
+    test('reads epoch seconds and milliseconds', () => {
+        assert.equal(toIsoDate(1783850400), '2026-07-12T10:00:00.000Z');
+        assert.equal(toIsoDate('1783850400000'), '2026-07-12T10:00:00.000Z');
+        assert.equal(parseDate(0), null);
+    });
+
+    test('reads other digit strings as YYYYMMDD', () => {
+        assert.equal(toIsoDate('20260712'), '2026-07-12T00:00:00.000Z');
+        assert.equal(toIsoDate('1783850400'), '2026-07-12T10:00:00.000Z');
+        assert.equal(parseDate('20261345'), null);
+        assert.equal(parseDate('20260230'), null);
+        assert.equal(parseDate('12345'), null);
+        assert.equal(parseDate('0'), null);
+    });
+
+    test('reads card text and JSON-LD dates as UTC', () => {
+        assert.equal(toIsoDate('July 12, 2026'), '2026-07-12T00:00:00.000Z');
+        assert.equal(toIsoDate('Posted: July 12, 2026'), '2026-07-12T00:00:00.000Z');
+        assert.equal(toIsoDate('2026-06-24'), '2026-06-24T00:00:00.000Z');
+        assert.equal(toIsoDate('2026-06-24T08:30:00-04:00'), '2026-06-24T12:30:00.000Z');
+    });
+
+    test('resolves relative strings against the fetch time', () => {
+        assert.equal(parseDate('Posted 3 days ago', NOW), NOW - 3 * DAY_MS);
+        assert.equal(parseDate('an hour ago', NOW), NOW - 60 * 60 * 1000);
+        assert.equal(parseDate('30+ days ago', NOW), NOW - 30 * DAY_MS);
+        assert.equal(toIsoDate('Today', NOW), '2026-07-15T00:00:00.000Z');
+        assert.equal(toIsoDate('Posted yesterday', NOW), '2026-07-14T00:00:00.000Z');
+        assert.equal(parseDate('Just posted', NOW), NOW);
+    });
+
+    test('reads card dates without a year as the latest past occurrence', () => {
+        assert.equal(toIsoDate('Jul 12', NOW), '2026-07-12T00:00:00.000Z');
+        assert.equal(toIsoDate('Posted: 12 Jul', NOW), '2026-07-12T00:00:00.000Z');
+        assert.equal(toIsoDate('Dec 30', NOW), '2025-12-30T00:00:00.000Z');
+        assert.equal(toIsoDate('July 12th', NOW), '2026-07-12T00:00:00.000Z');
+        assert.equal(parseDate('7/12', NOW), null);
+    });
+
+    test('returns null for unreadable values', () => {
+        assert.equal(parseDate('soon'), null);
+        assert.equal(parseDate(''), null);
+        assert.equal(firstIsoDate([null, 'n/a', '2026-07-01']), '2026-07-01T00:00:00.000Z');
+    });
+});
+
+describe('mapApiJob dates', () => {
+    const listJob = loadFixture('list-page-1.json').data[0];
+    const detail = loadFixture('job-1914497.json').data;
+
+    test('normalizes posted_at, updated_at and valid_through', () => {
+        const record = mapApiJob(listJob, detail);
+        assert.equal(record.posted_at, '2026-06-24T00:00:00.000Z');
+        assert.equal(record.updated_at, '2026-07-12T10:00:00.000Z');
+        assert.equal(record.valid_through, '2026-08-23T00:00:00.000Z');
+    });
+
+    test('resolves relative card dates against fetchedAt', () => {
+        const job = { id: 1, title: 'Analyst', customBlockList: [{ label: 'Posted', value: '2 days ago' }] };
+        const record = mapApiJob(job, {}, { fetchedAt: NOW });
+        assert.equal(record.posted_at, '2026-07-13T12:00:00.000Z');
+        assert.equal(record.updated_at, '2026-07-13T12:00:00.000Z');
+    });
+
+    test('reads a yearless card date in the fetch year so a recent job passes the posted filter', () => {
+        const job = { id: 1, title: 'Analyst', customBlockList: [{ label: 'Posted', value: 'Jul 12' }] };
+        const record = mapApiJob(job, {}, { fetchedAt: NOW });
+        assert.equal(record.posted_at, '2026-07-12T00:00:00.000Z');
+        assert.equal(createPostedAfterFilter(resolvePostedCutoff({ postedWithinDays: 7 }, NOW))(record), true);
+    });
+});
+
+describe('posted cutoff', () => {
+    test('uses the later of posted_within_days and since', () => {
+        assert.equal(resolvePostedCutoff({ postedWithinDays: 7 }, NOW), NOW - 7 * DAY_MS);
+        assert.equal(resolvePostedCutoff({ postedWithinDays: 7, since: '2026-07-14' }, NOW), Date.UTC(2026, 6, 14));
+        assert.equal(resolvePostedCutoff({ postedWithinDays: 1, since: '2026-07-01' }, NOW), NOW - DAY_MS);
+        assert.equal(resolvePostedCutoff({ since: '3 days ago' }, NOW), NOW - 3 * DAY_MS);
+        assert.equal(resolvePostedCutoff({}, NOW), null);
+        assert.throws(() => resolvePostedCutoff({ since: 'last tuesday-ish' }), /since/);
+    });
+
+    test('keeps recent and undated records', () => {
+        const keep = createPostedAfterFilter(Date.UTC(2026, 6, 10));
+        assert.equal(keep({ posted_at: '2026-07-12T00:00:00.000Z' }), true);
+        assert.equal(keep({ posted_at: '2026-07-01T00:00:00.000Z' }), false);
+        assert.equal(keep({ date_posted: 'July 11, 2026' }), true);
+        assert.equal(keep({ title: 'undated' }), true);
+        assert.equal(createPostedAfterFilter(null), null);
+    });
+});
@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { analyzeDescription } from '../src/description.js';
+
+const HTML = `
+<p>ACME is seeking a Cyber Analyst to support mission partners.</p>
+<p><strong>Responsibilities:</strong></p>
+<ul><li>Monitor SIEM alerts in Splunk</li><li>Write RMF artifacts</li></ul>
+<h3>Required Qualifications</h3>
+<ul>
+    <li>5+ years of experience in cyber security</li>
+    <li>Bachelor's degree in Computer Science or related field</li>
+    <li>DoD 8570 IAT Level II certification (Security+ CE)</li>
+    <li>Active TS/SCI with Poly; investigation within 5 years</li>
+</ul>
+<p><b>Desired Qualifications</b></p>
+<ul><li>CISSP</li><li>Master's degree</li></ul>
+<p>Benefits:</p>
+<ul><li>401k match</li><li>PTO</li></ul>`;
+
+describe('analyzeDescription', () => {
+    const out = analyzeDescription(HTML);
+
+    test('splits headed sections and bullet lists', () => {
+        assert.deepEqual(out.description_sections.map((s) => [s.heading, s.category]), [
+            ['Responsibilities', 'responsibilities'],
+            ['Required Qualifications', 'required_qualifications'],
+            ['Desired Qualifications', 'desired_qualifications'],
+            ['Benefits', 'benefits'],
+        ]);
+        assert.deepEqual(out.responsibilities, ['Monitor SIEM alerts in Splunk', 'Write RMF artifacts']);
+        assert.deepEqual(out.desired_qualifications, ['CISSP', "Master's degree"]);
+        assert.deepEqual(out.benefits, ['401k match', 'PTO']);
+    });
+
+    test('extracts requirements from the required section', () => {
+        assert.equal(out.experience_years_min, 5);
+        assert.equal(out.degree_level, 'bachelor');
+        assert.deepEqual(out.dod_8570_levels, ['IAT II']);
+    });
+
+    test('separates required and preferred certifications', () => {
+        assert.deepEqual(out.certifications, ['Security+', 'CISSP']);
+        assert.deepEqual(out.certifications_required, ['Security+']);
+    });
+
+    test('handles plain text without sections', () => {
+        const plain = analyzeDescription('Must have 3-5 years experience and an active CCNA. High school diploma required. IAM I.');
+        assert.equal(plain.experience_years_min, 3);
+        assert.equal(plain.degree_level, 'high_school');
+        assert.deepEqual(plain.certifications, ['CCNA']);
+        assert.deepEqual(plain.dod_8570_levels, ['IAM I']);
+        assert.deepEqual(plain.description_sections, []);
+    });
+
+    test('returns nothing for empty input', () => {
+        assert.deepEqual(analyzeDescription(''), {});
+        assert.deepEqual(analyzeDescription(undefined), {});
+    });
+});
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import {
+    DuplicateClusterer,
+    estimateSimilarity,
+    minhashSignature,
+    normalizeCompany,
+    normalizeTitle,
+} from '../src/duplicates.js';
+
+const DESCRIPTION = 'We are seeking a systems engineer to support a mission critical program for a government customer. '
+    + 'The engineer will design, integrate and test enterprise infrastructure, maintain security accreditation artifacts, '
+    + 'and work closely with operations staff to troubleshoot complex network and storage issues across classified enclaves.';
+
+function job(overrides) {
+    return {
+        id: 1,
+        title: 'Senior Systems Engineer',
+        company: 'Acme Federal, Inc.',
+        location_normalized: { city: 'Columbia', state_code: 'MD', zip: '21046' },
+        description_text: DESCRIPTION,
+        ...overrides,
+    };
+}
+
+describe('normalization', () => {
+    test('expands title abbreviations and strips company suffixes', () => {
+        assert.equal(normalizeTitle('Sr. Sys Engr II'), 'senior systems engineer 2');
+        assert.equal(normalizeTitle('Senior Systems Engineer 2'), 'senior systems engineer 2');
+        assert.equal(normalizeCompany('Acme Federal, L.L.C.'), 'acme federal');
+        assert.equal(normalizeCompany('ACME Federal Inc'), 'acme federal');
+    });
+
+    test('estimates description similarity from minhash signatures', () => {
+        const base = minhashSignature(DESCRIPTION);
+        const edited = minhashSignature(`${DESCRIPTION} Relocation assistance is available.`);
+        const other = minhashSignature('Join our finance team as an accounts payable clerk handling vendor invoices, reconciliations and month end close tasks for a growing company.');
+        assert.ok(estimateSimilarity(base, edited) >= 0.8);
+        assert.ok(estimateSimilarity(base, other) < 0.2);
+        assert.equal(minhashSignature('too short'), null);
+    });
+});
+
+describe('DuplicateClusterer', () => {
+    test('groups cross-posts by reference id, normalized title and description', () => {
+        const clusterer = new DuplicateClusterer();
+        const first = clusterer.assign(job({ id: 1, job_reference_id: 'REQ-1' }));
+        const otherMetro = clusterer.assign(job({
+            id: 2,
+            job_reference_id: 'req-1',
+            title: 'Systems Engineer',
+            location_normalized: { city: 'Huntsville', state_code: 'AL' },
+            description_text: 'Different text entirely for this metro posting of the same requisition number.',
+        }));
+        const srTitle = clusterer.assign(job({ id: 3, title: 'Sr. Systems Engineer', location_normalized: { zip: '21046-1234' } }));
+        const otherCompany = clusterer.assign(job({ id: 4, company: 'Globex' }));
+
+        assert.equal(first.duplicate, false);
+        assert.deepEqual([otherMetro.groupId, otherMetro.duplicate], [first.groupId, true]);
+        assert.deepEqual([srTitle.groupId, srTitle.duplicate], [first.groupId, true]);
+        assert.equal(otherCompany.duplicate, false);
+        assert.notEqual(otherCompany.groupId, first.groupId);
+        assert.match(first.groupId, /^dup-[0-9a-f]{12}$/);
+        assert.deepEqual(clusterer.stats, { groups: 2, duplicates: 2 });
+    });
+
+    test('keeps different levels and places apart', () => {
+        const clusterer = new DuplicateClusterer();
+        const level2 = clusterer.assign(job({ id: 1, title: 'Systems Engineer II' }));
+        const level3 = clusterer.assign(job({ id: 2, title: 'Systems Engineer III' }));
+        assert.notEqual(level3.groupId, level2.groupId);
+
+        const noText = { description_text: undefined };
+        const here = clusterer.assign(job({ id: 3, title: 'Network Engineer', ...noText }));
+        const sameZip = clusterer.assign(job({ id: 4, title: 'Network Engr', ...noText, location_normalized: { zip: '21046-0001' } }));
+        const elsewhere = clusterer.assign(job({ id: 5, title: 'Network Engineer', ...noText, location_normalized: { zip: '20701' } }));
+        assert.equal(sameZip.groupId, here.groupId);
+        assert.notEqual(elsewhere.groupId, here.groupId);
+    });
+
+    test('selects the most complete record per group in first-seen order', () => {
+        const clusterer = new DuplicateClusterer({ mode: 'keep-most-complete' });
+        const records = [
+            job({ id: 1 }),
+            job({ id: 2, company: 'Globex' }),
+            job({ id: 3, salary: '$150,000', title: 'Sr Systems Engineer' }),
+        ];
+        for (const record of records) record.duplicate_group_id = clusterer.assign(record).groupId;
+        assert.deepEqual(clusterer.selectMostComplete(records).map((r) => r.id), [2, 3]);
+    });
+
+    test('restores its clusters and rejects unknown modes', () => {
+        const clusterer = new DuplicateClusterer();
+        const { groupId } = clusterer.assign(job({ id: 1 }));
+        const restored = new DuplicateClusterer({}, JSON.parse(JSON.stringify(clusterer.toState())));
+        assert.deepEqual(restored.assign(job({ id: 2 })), { groupId, duplicate: true });
+        assert.throws(() => new DuplicateClusterer({ mode: 'keep-best' }), /Unknown duplicate mode/);
+    });
+});
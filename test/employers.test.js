@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { EmployerAggregator } from '../src/employers.js';
+
+const peraton = { id: 41877, name: 'Peraton', logo: 'https://example.com/peraton.png' };
+
+describe('EmployerAggregator', () => {
+    test('rolls jobs up per company', () => {
+        const employers = new EmployerAggregator();
+        employers.addAll([
+            {
+                company: 'Peraton',
+                company_details: peraton,
+                title: 'Cyber Engineer',
+                clearance_level: 'TS/SCI',
+                location: 'Annapolis Junction, Maryland',
+                salary_min: 120000,
+                salary_max: 150000,
+                salary_period: 'year',
+                date_posted: 'July 11, 2026',
+            },
+            {
+                company: 'Peraton',
+                company_details: peraton,
+                title: 'Systems Admin',
+                clearance_level: 'Secret',
+                location: 'Annapolis Junction, Maryland',
+                salary_min: 50,
+                salary_max: 50,
+                salary_period: 'hour',
+                date_posted: 'July 12, 2026',
+            },
+            { company: 'SAIC', title: 'Analyst', location: 'Reston, Virginia' },
+            { title: 'No company' },
+        ]);
+
+        const [first, second] = employers.toRecords({ run_id: 'r1' });
+        assert.equal(employers.size, 2);
+        assert.deepEqual(first, {
+            company_id: 41877,
+            company_name: 'Peraton',
+            company_logo: 'https://example.com/peraton.png',
+            open_postings: 2,
+            clearance_levels: { 'TS/SCI': 1, Secret: 1 },
+            locations: { 'Annapolis Junction, Maryland': 2 },
+            sample_titles: ['Cyber Engineer', 'Systems Admin'],
+            postings_with_salary: 2,
+            salary_annual_min: 104000,
+            salary_annual_max: 150000,
+            newest_posting_date: new Date('July 12, 2026').toISOString(),
+            run_id: 'r1',
+        });
+        assert.equal(second.company_name, 'SAIC');
+        assert.equal(second.postings_with_salary, 0);
+    });
+});
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { flattenRecord, RecordExporter, toCsv, toJobPosting, toJobPostingFeed, toNdjson } from '../src/exports.js';
+import { mapApiJob } from '../src/mapping.js';
+import { loadFixture } from './helpers/mock-server.js';
+
+const record = mapApiJob(loadFixture('list-page-1.json').data[0], loadFixture('job-1914497.json').data);
+
+function memoryStore() {
+    return {
+        values: {},
+        async setValue(key, value, options) {
+            this.values[key] = { value, contentType: options?.contentType };
+        },
+    };
+}
+
+describe('flattenRecord', () => {
+    test('expands nested objects and custom block attributes into columns', () => {
+        const row = flattenRecord(record);
+        assert.equal(row.company_details_name, 'Absolute Business Solutions Corp (ABSC)');
+        assert.equal(row.company_details_is_featured, false);
+        assert.equal(row.coordinates_latitude, '38.7119000');
+        assert.equal(row.location_normalized_zip, '22060');
+        assert.equal(row.attributes_travel_percent, 10);
+        assert.equal(row.attributes_job_reference_id, '3686372');
+        assert.equal(Object.keys(row).some((column) => column.startsWith('custom_')), false);
+    });
+
+    test('joins scalar lists and keeps object lists as JSON', () => {
+        const row = flattenRecord({ tags: ['a', 'b'], sections: [{ heading: 'X' }] });
+        assert.equal(row.tags, 'a; b');
+        assert.equal(row.sections, '[{"heading":"X"}]');
+    });
+});
+
+describe('toCsv', () => {
+    test('unions columns and quotes special characters', () => {
+        const csv = toCsv([{ id: 1, title: 'Analyst, Senior' }, { id: 2, note: 'say "hi"\nthere' }]);
+        assert.equal(csv, 'id,title,note\r\n1,"Analyst, Senior",\r\n2,,"say ""hi""\nthere"\r\n');
+    });
+
+    test('escapes text that a spreadsheet would run as a formula', () => {
+        const csv = toCsv([{ company: '=HYPERLINK("http://x")', title: '@SUM(A1)', note: '+1', tag: '-x', salary_min: -5, ok: 'a=b' }]);
+        assert.equal(csv.split('\r\n')[1], '"\'=HYPERLINK(""http://x"")",\'@SUM(A1),\'+1,\'-x,-5,a=b');
+    });
+});
+
+describe('toNdjson', () => {
+    test('writes one record per line', () => {
+        const lines = toNdjson([{ id: 1 }, { id: 2 }]).trim().split('\n');
+        assert.deepEqual(lines.map((l) => JSON.parse(l).id), [1, 2]);
+    });
+});
+
+describe('toJobPosting', () => {
+    test('rebuilds a JobPosting from normalized fields', () => {
+        const posting = toJobPosting(record);
+        assert.equal(posting['@type'], 'JobPosting');
+        assert.equal(posting.title, 'Senior Site Content Manager');
+        assert.equal(posting.datePosted, '2026-06-24T00:00:00.000Z');
+        assert.equal(posting.validThrough, '2026-08-23T00:00:00.000Z');
+        assert.deepEqual(posting.employmentType, ['FULL_TIME']);
+        assert.equal(posting.hiringOrganization.name, 'Absolute Business Solutions Corp (ABSC)');
+        assert.deepEqual(posting.jobLocation.address, {
+            '@type': 'PostalAddress',
+            streetAddress: '9000 Belvoir Rd',
+            addressLocality: 'Fort Belvoir',
+            addressRegion: 'VA',
+            postalCode: '22060',
+            addressCountry: 'US',
+        });
+        assert.equal(posting.jobLocation.geo.latitude, 38.7119);
+        assert.deepEqual(posting.baseSalary.value, {
+            '@type': 'QuantitativeValue',
+            minValue: 120000,
+            maxValue: 150000,
+            unitText: 'YEAR',
+        });
+        assert.equal(posting.securityClearanceRequirement, 'TS/SCI');
+        assert.equal(posting.jobLocationType, undefined);
+        assert.equal(posting.skills, undefined);
+        assert.equal(toJobPosting({ ...record, skills: ['Splunk', 'RMF'] }).skills, 'Splunk, RMF');
+    });
+
+    test('marks remote jobs as telecommute', () => {
+        const posting = toJobPosting({ title: 'Analyst', location_normalized: { work_arrangement: 'remote' } });
+        assert.equal(posting.jobLocationType, 'TELECOMMUTE');
+        assert.deepEqual(posting.applicantLocationRequirements, { '@type': 'Country', name: 'US' });
+    });
+
+    test('wraps postings in a JSON-LD graph', () => {
+        const feed = JSON.parse(toJobPostingFeed([record]));
+        assert.equal(feed['@context'], 'https://schema.org');
+        assert.equal(feed['@graph'].length, 1);
+    });
+});
+
+describe('RecordExporter', () => {
+    test('writes the selected formats with content types', async () => {
+        const store = memoryStore();
+        const exporter = new RecordExporter(store, ['csv', 'jsonld']);
+        exporter.addAll([record]);
+        const keys = await exporter.write();
+
+        assert.deepEqual(keys, ['jobs.csv', 'jobs-jsonld.json']);
+        assert.match(store.values['jobs.csv'].contentType, /^text\/csv/);
+        assert.match(store.values['jobs.csv'].value, /^id,url,title,/);
+        assert.equal(store.values['jobs.ndjson'], undefined);
+    });
+
+    test('collects batches larger than the call stack allows to spread', () => {
+        const exporter = new RecordExporter(memoryStore(), ['ndjson']);
+        exporter.addAll(new Array(200000).fill(record));
+        exporter.addAll([record]);
+        assert.equal(exporter.records.length, 200001);
+    });
+
+    test('rejects unknown formats', async () => {
+        await assert.rejects(RecordExporter.open(undefined, ['xml']), /Unknown export format/);
+    });
+});
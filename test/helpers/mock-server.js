@@ -0,0 +1,98 @@
+import { readFileSync } from 'node:fs';
+import http from 'node:http';
+
+const FIXTURES_DIR = new URL('../fixtures/', import.meta.url);
+
+export function loadFixture(name) {
+    return JSON.parse(readFileSync(new URL(name, FIXTURES_DIR), 'utf8'));
+}
+
+export function json(body, status = 200, headers = {}) {
+    return { status, headers: { 'content-type': 'application/json', ...headers }, body: JSON.stringify(body) };
+}
+
+export function text(body, status = 200, headers = {}) {
+    return { status, headers: { 'content-type': 'text/plain', ...headers }, body };
+}
+
+/**
+ * Local stand-in for clearedjobs.net.
+ *
+ * `routes` maps a route key to a response or a list of responses served in order
+ * (the last one repeats). Route keys are `list:<page>` for `/api/v1/jobs?page=N`
+ * and `detail:<id>` for `/api/v1/jobs/<id>`; anything unmatched returns 404.
+ * Every request is recorded in `requests` as { key, url }.
+ */
+export async function startMockServer(routes) {
+    const requests = [];
+    const hits = new Map();
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const detailMatch = url.pathname.match(/^\/api\/v1\/jobs\/([^/]+)$/);
+        let key = null;
+        if (url.pathname === '/api/v1/jobs') key = `list:${url.searchParams.get('page')}`;
+        else if (detailMatch) key = `detail:${detailMatch[1]}`;
+        requests.push({ key, url });
+
+        const entry = key ? routes[key] : undefined;
+        if (entry === undefined) {
+            res.writeHead(404, { 'content-type': 'application/json' });
+            res.end('{"message":"Not Found"}');
+            return;
+        }
+        const list = Array.isArray(entry) ? entry : [entry];
+        const count = hits.get(key) || 0;
+        hits.set(key, count + 1);
+        const response = list[Math.min(count, list.length - 1)];
+        res.writeHead(response.status, response.headers);
+        res.end(response.body);
+    });
+
+    await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+    const { port } = server.address();
+
+    return {
+        baseUrl: `http://127.0.0.1:${port}`,
+        requests,
+        hitsFor: (key) => requests.filter((r) => r.key === key).length,
+        close: () => new Promise((resolve) => {
+            server.closeAllConnections();
+            server.close(resolve);
+        }),
+    };
+}
+
+/**
+ * Local webhook endpoint. `responses` is a status code or a list of status codes
+ * served in order (the last one repeats); a null status never answers. Every request is
+ * recorded in `received` as { headers, body } with the raw body string.
+ */
+export async function startWebhookReceiver(responses = 200) {
+    const statuses = Array.isArray(responses) ? responses : [responses];
+    const received = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+            received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+            const status = statuses[Math.min(received.length - 1, statuses.length - 1)];
+            if (status === null) return;
+            res.writeHead(status);
+            res.end();
+        });
+    });
+
+    await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}/hook`,
+        received,
+        close: () => new Promise((resolve) => {
+            server.closeAllConnections();
+            server.close(resolve);
+        }),
+    };
+}
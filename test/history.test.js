@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+
+import { log } from 'apify';
+
+import { descriptionHash, diffSnapshots, JobHistory } from '../src/history.js';
+
+function memoryStore(values = {}) {
+    return {
+        values,
+        async getValue(key) {
+            return this.values[key] ?? null;
+        },
+        async setValue(key, value) {
+            this.values[key] = structuredClone(value);
+        },
+    };
+}
+
+const posting = {
+    id: 42,
+    title: 'Cyber Analyst',
+    salary: '$100,000 - $120,000',
+    salary_min: 100000,
+    salary_max: 120000,
+    security_clearance: 'Secret',
+    location: 'Columbia, MD',
+    job_type: 'Full Time',
+    description_text: 'Monitor the SOC.',
+};
+
+before(() => log.setLevel(log.LEVELS.OFF));
+
+describe('diffSnapshots', () => {
+    test('lists changed tracked fields with old and new values', () => {
+        const edited = { ...posting, salary_max: 130000, security_clearance: 'TS/SCI', description_text: 'Monitor  the SOC. Hunt threats.' };
+        assert.deepEqual(diffSnapshots(posting, edited, 'T').map((c) => [c.field, c.old_value, c.new_value]), [
+            ['salary_max', 120000, 130000],
+            ['security_clearance', 'Secret', 'TS/SCI'],
+            ['description_hash', descriptionHash(posting), descriptionHash(edited)],
+        ]);
+        assert.equal(diffSnapshots(posting, edited, 'T')[0].detected_at, 'T');
+    });
+
+    test('ignores untracked fields and whitespace-only description edits', () => {
+        assert.deepEqual(diffSnapshots(posting, { ...posting, title: 'Sr. Cyber Analyst', description_text: ' Monitor the  SOC. ' }, 'T'), []);
+        assert.deepEqual(diffSnapshots({ id: 1 }, { id: 1, salary: undefined }, 'T'), []);
+    });
+});
+
+describe('JobHistory', () => {
+    const runAt = (day) => new Date(`2026-07-${day}T00:00:00Z`);
+
+    test('stores a first version and adds one per change', async () => {
+        const store = memoryStore();
+        const first = [{ ...posting }];
+        const history = new JobHistory(store, {}, runAt(10));
+        await history.annotate(first);
+        assert.deepEqual([first[0].changes, first[0].snapshot_version], [[], 1]);
+        assert.equal(store.values['job-42'], undefined);
+        await history.save(first);
+        assert.equal(store.values['job-42'].versions.length, 1);
+
+        const same = [{ ...posting }];
+        const second = new JobHistory(store, {}, runAt(11));
+        await second.annotate(same);
+        await second.save(same);
+        assert.deepEqual([same[0].changes, same[0].snapshot_version], [[], 1]);
+        assert.equal(store.values['job-42'].last_seen_at, '2026-07-11T00:00:00.000Z');
+
+        const raised = [{ ...posting, salary_min: 110000, change_type: 'updated' }];
+        const third = new JobHistory(store, {}, runAt(12));
+        await third.annotate(raised);
+        await third.save(raised);
+        assert.deepEqual(raised[0].changes, [
+            { field: 'salary_min', old_value: 100000, new_value: 110000, detected_at: '2026-07-12T00:00:00.000Z' },
+        ]);
+        assert.equal(raised[0].snapshot_version, 2);
+        const { versions } = store.values['job-42'];
+        assert.deepEqual(versions.map((v) => [v.version, v.captured_at, v.record.salary_min]), [
+            [1, '2026-07-10T00:00:00.000Z', 100000],
+            [2, '2026-07-12T00:00:00.000Z', 110000],
+        ]);
+        assert.equal(versions[1].record.change_type, undefined);
+        assert.deepEqual([third.stats, second.stats], [{ new: 0, changed: 1, unchanged: 0 }, { new: 0, changed: 0, unchanged: 1 }]);
+    });
+
+    test('keeps at most maxVersions and skips records without an id', async () => {
+        const store = memoryStore();
+        for (const [day, location] of [[10, 'A'], [11, 'B'], [12, 'C']]) {
+            const records = [{ ...posting, location }, { title: 'No id' }];
+            const history = new JobHistory(store, { maxVersions: 2 }, runAt(day));
+            await history.annotate(records);
+            await history.save(records);
+            assert.equal(records[1].changes, undefined);
+        }
+        assert.deepEqual(store.values['job-42'].versions.map((v) => [v.version, v.record.location]), [[2, 'B'], [3, 'C']]);
+    });
+});
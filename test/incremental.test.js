@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { getChangeStamp, IncrementalState } from '../src/incremental.js';
+
+function memoryStore() {
+    const values = new Map();
+    let writes = 0;
+    return {
+        values,
+        get writes() { return writes; },
+        async getValue(key) { return values.get(key) ?? null; },
+        async setValue(key, value) {
+            writes++;
+            values.set(key, structuredClone(value));
+        },
+    };
+}
+
+describe('getChangeStamp', () => {
+    test('reads the list modified_time as a string', () => {
+        assert.equal(getChangeStamp({ modified_time: 1783850400 }), '1783850400');
+        assert.equal(getChangeStamp({ modified_time: '2026-07-12' }), '2026-07-12');
+        assert.equal(getChangeStamp({ date_posted: 'July 12, 2026' }), null);
+        assert.equal(getChangeStamp(undefined), null);
+    });
+});
+
+describe('IncrementalState', () => {
+    test('classifies unseen, unchanged and changed jobs', () => {
+        const state = new IncrementalState(memoryStore(), { 'id:1': '100', 'id:2': null });
+        assert.equal(state.classify('id:3', '100'), 'new');
+        assert.equal(state.classify('id:1', '100'), null);
+        assert.equal(state.classify('id:1', '200'), 'updated');
+        assert.equal(state.classify('id:2', null), null);
+        assert.equal(state.classify('id:2', '300'), 'updated');
+    });
+
+    test('saves remembered jobs once and skips saves without changes', async () => {
+        const store = memoryStore();
+        const state = new IncrementalState(store);
+        await state.save();
+        assert.equal(store.writes, 0);
+
+        state.remember('id:1', '100');
+        await state.save();
+        await state.save();
+        assert.equal(store.writes, 1);
+        assert.deepEqual(store.values.get('SEEN_JOBS').jobs, { 'id:1': '100' });
+
+        const next = new IncrementalState(store, store.values.get('SEEN_JOBS').jobs);
+        assert.equal(next.classify('id:1', '100'), null);
+    });
+});
@@ -0,0 +1,165 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { createRecordFilter } from '../src/filters.js';
+import {
+    createRadiusFilter,
+    detectWorkArrangement,
+    distanceMiles,
+    findMetro,
+    normalizeLocation,
+    parseLocationString,
+    resolveCenter,
+} from '../src/location.js';
+
+describe('parseLocationString', () => {
+    test('splits city and full state name', () => {
+        assert.deepEqual(parseLocationString('Fort Belvoir, Virginia'), {
+            city: 'Fort Belvoir',
+            state: 'VA',
+            zip: undefined,
+            country: 'US',
+        });
+    });
+
+    test('reads state codes, ZIPs and a trailing country', () => {
+        assert.deepEqual(parseLocationString('Arlington, VA 22202, USA'), {
+            city: 'Arlington',
+            state: 'VA',
+            zip: '22202',
+            country: 'US',
+        });
+    });
+
+    test('handles a bare state and remote', () => {
+        assert.equal(parseLocationString('Maryland').state, 'MD');
+        assert.equal(parseLocationString('Maryland').city, undefined);
+        assert.deepEqual(parseLocationString('Remote'), {});
+    });
+});
+
+describe('detectWorkArrangement', () => {
+    test('prefers explicit remote-option data', () => {
+        assert.equal(detectWorkArrangement({ remoteOption: 'hybrid', location: 'Reston, VA' }), 'hybrid');
+        assert.equal(detectWorkArrangement({ remoteOption: true, location: 'Reston, VA' }), 'remote');
+    });
+
+    test('falls back to location, title and description cues', () => {
+        assert.equal(detectWorkArrangement({ location: 'Remote, US' }), 'remote');
+        assert.equal(detectWorkArrangement({ location: 'Reston, VA', title: 'Analyst (Remote)' }), 'remote');
+        assert.equal(detectWorkArrangement({ location: 'Reston, VA', description: 'This is a hybrid role, 3 days on site.' }), 'hybrid');
+        assert.equal(detectWorkArrangement({ location: 'Reston, VA', description: 'Must work 100% on-site in a SCIF.' }), 'onsite');
+    });
+
+    test('ignores technical uses of the words', () => {
+        assert.equal(
+            detectWorkArrangement({ location: 'Reston, VA', description: 'Manage hybrid cloud and remote sensing systems.' }),
+            'onsite',
+        );
+        assert.equal(detectWorkArrangement({ description: 'Manage hybrid cloud systems.' }), undefined);
+    });
+});
+
+describe('findMetro', () => {
+    test('tags the nearest hub within its radius', () => {
+        assert.equal(findMetro({ latitude: 39.1201, longitude: -76.7769 }).name, 'Fort Meade / NSA');
+        assert.equal(findMetro({ latitude: 38.9586, longitude: -77.3570 }).name, 'Chantilly / Dulles');
+        assert.equal(findMetro({ latitude: 34.6868, longitude: -86.6512 }).name, 'Huntsville / Redstone Arsenal');
+        assert.equal(findMetro({ latitude: 44.98, longitude: -93.27 }), undefined);
+    });
+
+    test('matches hub names in text when there are no coordinates', () => {
+        assert.equal(findMetro({ text: 'Huntsville, AL' }).name, 'Huntsville / Redstone Arsenal');
+        assert.equal(findMetro({ text: 'Seattle, Washington' }), undefined);
+    });
+
+    test('matches hub names as whole words in the hub\'s own state', () => {
+        assert.equal(findMetro({ text: 'Daytona Beach, FL' }), undefined);
+        assert.equal(findMetro({ text: 'Augusta, ME' }), undefined);
+        assert.equal(findMetro({ text: 'Las Vegas, NM' }), undefined);
+        assert.equal(findMetro({ text: 'Augusta', state: 'ME' }), undefined);
+        assert.equal(findMetro({ text: 'Augusta, GA' }).name, 'Augusta / Fort Eisenhower');
+        assert.equal(findMetro({ text: 'Dayton, Ohio' }).name, 'Dayton / Wright-Patterson');
+        assert.equal(findMetro({ text: 'Wright-Patterson AFB' }).name, 'Dayton / Wright-Patterson');
+        assert.equal(findMetro({ text: 'Washington, DC' }).name, 'Washington, DC');
+    });
+});
+
+describe('normalizeLocation', () => {
+    test('combines JSON-LD address, coordinates and the location string', () => {
+        const out = normalizeLocation({
+            job: { coordinates: { latitude: '38.7119000', longitude: '-77.1458900' } },
+            detail: { address: '9000 Belvoir Rd' },
+            jsonLdAddress: { addressLocality: 'Fort Belvoir', addressRegion: 'VA', postalCode: '22060', addressCountry: 'US' },
+            location: 'Fort Belvoir, Virginia',
+            title: 'Senior Site Content Manager',
+        });
+        assert.deepEqual(out, {
+            street: '9000 Belvoir Rd',
+            city: 'Fort Belvoir',
+            state_code: 'VA',
+            zip: '22060',
+            country: 'US',
+            lat: 38.7119,
+            lng: -77.14589,
+            work_arrangement: 'onsite',
+            metro_area: 'Fort Belvoir / NGA',
+        });
+    });
+
+    test('drops zero and out-of-range coordinates', () => {
+        const out = normalizeLocation({ job: { coordinates: { latitude: '0', longitude: '200' } }, location: 'Remote' });
+        assert.equal(out.lat, undefined);
+        assert.equal(out.lng, undefined);
+        assert.equal(out.work_arrangement, 'remote');
+    });
+
+    test('does not tag a hub from a look-alike city name', () => {
+        const daytona = normalizeLocation({ location: 'Daytona Beach, FL 32114' });
+        assert.equal(daytona.metro_area, undefined);
+        assert.equal(createRadiusFilter(50, 'Dayton')({ location_normalized: daytona }), false);
+        assert.equal(normalizeLocation({ location: 'Augusta, ME' }).metro_area, undefined);
+        assert.equal(normalizeLocation({ location: 'Augusta, GA 30901' }).metro_area, 'Augusta / Fort Eisenhower');
+    });
+});
+
+describe('radius filter', () => {
+    test('measures great-circle distance in miles', () => {
+        // Fort Meade to Fort Belvoir is roughly 35 miles
+        const d = distanceMiles(39.1086, -76.7433, 38.7119, -77.1459);
+        assert.ok(d > 30 && d < 40, `got ${d}`);
+    });
+
+    test('resolves lat,lng and metro names', () => {
+        assert.deepEqual(resolveCenter('39.1, -76.7'), { latitude: 39.1, longitude: -76.7, label: '39.1, -76.7' });
+        assert.equal(resolveCenter('Fort Meade').label, 'Fort Meade / NSA');
+        assert.equal(resolveCenter('Atlantis'), null);
+    });
+
+    test('resolves short names for hubs', () => {
+        assert.equal(resolveCenter('NoVA').label, 'Northern Virginia');
+        assert.equal(resolveCenter('NSA').label, 'Fort Meade / NSA');
+        assert.equal(resolveCenter('Huntsville').label, 'Huntsville / Redstone Arsenal');
+        assert.equal(resolveCenter('D.C.').label, 'Washington, DC');
+    });
+
+    test('keeps records within the radius and falls back to the metro tag', () => {
+        const keep = createRadiusFilter(20, 'Fort Meade');
+        assert.equal(keep({ location_normalized: { lat: 39.1201, lng: -76.7769 } }), true);
+        assert.equal(keep({ location_normalized: { lat: 38.7119, lng: -77.1459 } }), false);
+        assert.equal(keep({ location_normalized: { metro_area: 'Fort Meade / NSA' } }), true);
+        assert.equal(keep({ location_normalized: { city: 'Somewhere' } }), false);
+    });
+
+    test('is off without a radius and rejects unknown centers', () => {
+        assert.equal(createRadiusFilter(undefined, 'Fort Meade'), null);
+        assert.throws(() => createRadiusFilter(25, ''), /radius_center/);
+        assert.throws(() => createRadiusFilter(25, 'Atlantis'), /radius_center/);
+    });
+
+    test('is composed into the record filter', () => {
+        const { recordFilter, descriptions } = createRecordFilter({ radiusMiles: 50, radiusCenter: 'Huntsville' });
+        assert.deepEqual(descriptions, ['within 50 miles of Huntsville / Redstone Arsenal']);
+        assert.equal(recordFilter({ location_normalized: { lat: 34.73, lng: -86.58 } }), true);
+    });
+});
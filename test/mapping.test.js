@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { buildDedupKey, mapApiJob } from '../src/mapping.js';
+import { loadFixture } from './helpers/mock-server.js';
+
+const listJob = loadFixture('list-page-1.json').data[0];
+const detail = loadFixture('job-1914497.json').data;
+
+describe('mapApiJob', () => {
+    test('maps a list job without detail', () => {
+        const record = mapApiJob(listJob);
+        assert.equal(record.id, 1914497);
+        assert.equal(record.title, 'Senior Site Content Manager');
+        assert.equal(record.company, 'Absolute Business Solutions Corp (ABSC)');
+        assert.equal(record.security_clearance, 'TS/SCI');
+        assert.equal(record.posted_date, 'July 12, 2026');
+        assert.equal(record.description_html, undefined);
+        assert.equal(record.epp, undefined, 'null values are compacted away');
+    });
+
+    test('merges the detail payload', () => {
+        const record = mapApiJob(listJob, detail);
+        assert.equal(record.salary, '$120,000 - $150,000/yr');
+        assert.equal(record.salary_min, 120000);
+        assert.equal(record.job_type, 'Full Time');
+        assert.equal(record.job_reference_id, '3686372');
+        assert.equal(record.clearance_level, 'TS/SCI');
+        assert.equal(record.date_modified, '2026-07-12');
+        assert.match(record.description_text, /^We are seeking a Senior Content Site Manager/);
+        assert.equal(record.location_normalized.zip, '22060');
+        assert.equal(record.location_normalized.state_code, 'VA');
+        assert.equal(record.location_normalized.lat, 38.7119);
+    });
+
+    test('exposes every custom block as a typed attribute', () => {
+        const record = mapApiJob(listJob, detail);
+        assert.deepEqual(record.attributes, {
+            security_clearance: 'TS/SCI',
+            job_reference_id: '3686372',
+            travel_percent: 10,
+            posted_date: 'July 12, 2026',
+        });
+        const renamed = mapApiJob(listJob, detail, { attributeMapping: { travel: 'travel' } });
+        assert.equal(renamed.attributes.travel, 10);
+    });
+
+    test('keeps the unmapped remainder of both payloads with includeRaw', () => {
+        assert.equal(mapApiJob(listJob, detail).raw_unmapped, undefined);
+        const record = mapApiJob({ ...listJob, newFlag: 'yes' }, detail, { includeRaw: true });
+        assert.deepEqual(record.raw_unmapped, {
+            list: { alreadySaved: false, newFlag: 'yes' },
+            detail: { title: 'Senior Site Content Manager' },
+        });
+    });
+});
+
+describe('buildDedupKey', () => {
+    test('prefers id, then url, then title/company/location', () => {
+        assert.equal(buildDedupKey({ id: 5, url: 'https://clearedjobs.net/job/a' }), 'id:5');
+        assert.equal(buildDedupKey({ url: 'https://clearedjobs.net/job/A?ref=x#top' }), 'url:https://clearedjobs.net/job/a');
+        assert.equal(buildDedupKey({ title: ' Analyst ', company: 'SAIC', location: 'Reston' }), 'tcl:analyst|saic|reston');
+        assert.equal(buildDedupKey({}), null);
+    });
+});
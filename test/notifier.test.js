@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { after, before, describe, test } from 'node:test';
+
+import { log } from 'apify';
+
+import { signPayload, WebhookNotifier, webhookRetry } from '../src/notifier.js';
+import { startWebhookReceiver } from './helpers/mock-server.js';
+
+const jobs = [1, 2, 3].map((id) => ({
+    id,
+    title: `Analyst ${id}`,
+    company: 'SAIC',
+    location: 'Reston, VA',
+    clearance_level: 'TS/SCI',
+    url: `https://clearedjobs.net/job/${id}`,
+    description_text: 'not sent',
+}));
+
+function memoryStore() {
+    return {
+        values: {},
+        async setValue(key, value) {
+            this.values[key] = value;
+        },
+    };
+}
+
+before(() => {
+    log.setLevel(log.LEVELS.OFF);
+    Object.assign(webhookRetry, { baseDelayMs: 5, maxDelayMs: 20, timeoutMs: 200 });
+});
+
+describe('WebhookNotifier', () => {
+    let receiver;
+    after(() => receiver?.close());
+
+    test('posts batched JSON digests with an HMAC signature', async () => {
+        receiver = await startWebhookReceiver();
+        const notifier = new WebhookNotifier({ url: receiver.url, secret: 's3cret', batchSize: 2 });
+        notifier.addAll(jobs);
+        await notifier.flush('python');
+        await receiver.close();
+
+        assert.equal(receiver.received.length, 2);
+        const [first, second] = receiver.received.map((r) => JSON.parse(r.body));
+        assert.equal(first.event, 'new_jobs');
+        assert.equal(first.search, 'python');
+        assert.equal(first.total, 3);
+        assert.deepEqual([first.batch, first.batches, second.batch], [1, 2, 2]);
+        assert.deepEqual(first.jobs.map((j) => j.id), [1, 2]);
+        assert.equal(first.jobs[0].description_text, undefined);
+
+        const { headers, body } = receiver.received[0];
+        const expected = `sha256=${createHmac('sha256', 's3cret').update(body).digest('hex')}`;
+        assert.equal(headers['x-clearedjobs-signature'], expected);
+        assert.equal(signPayload(body, 's3cret'), expected);
+        assert.deepEqual(notifier.stats, { sent: 2, failed: 0, jobs: 3 });
+    });
+
+    test('retries 5xx and 429 with backoff', async () => {
+        receiver = await startWebhookReceiver([503, 429, 200]);
+        const notifier = new WebhookNotifier({ url: receiver.url });
+        notifier.addAll(jobs.slice(0, 1));
+        await notifier.flush('q');
+        await receiver.close();
+
+        assert.equal(receiver.received.length, 3);
+        assert.deepEqual(notifier.stats, { sent: 1, failed: 0, jobs: 1 });
+    });
+
+    test('retries a webhook that does not answer in time', async () => {
+        receiver = await startWebhookReceiver([null, 200]);
+        const notifier = new WebhookNotifier({ url: receiver.url });
+        notifier.addAll(jobs.slice(0, 1));
+        await notifier.flush('q');
+        await receiver.close();
+
+        assert.equal(receiver.received.length, 2);
+        assert.deepEqual(notifier.stats, { sent: 1, failed: 0, jobs: 1 });
+    });
+
+    test('gives up on 4xx without retrying and after max retries', async () => {
+        receiver = await startWebhookReceiver(400);
+        const rejected = new WebhookNotifier({ url: receiver.url });
+        rejected.addAll(jobs.slice(0, 1));
+        await rejected.flush('q');
+        await receiver.close();
+        assert.equal(receiver.received.length, 1);
+        assert.equal(rejected.stats.failed, 1);
+
+        receiver = await startWebhookReceiver(500);
+        const exhausted = new WebhookNotifier({ url: receiver.url, maxRetries: 2 });
+        exhausted.addAll(jobs.slice(0, 1));
+        await exhausted.flush('q');
+        await receiver.close();
+        assert.equal(receiver.received.length, 3);
+        assert.equal(exhausted.stats.failed, 1);
+    });
+
+    test('renders Slack blocks and Teams cards', async () => {
+        receiver = await startWebhookReceiver();
+        const slack = new WebhookNotifier({ url: receiver.url, template: 'slack' });
+        slack.addAll(jobs);
+        await slack.flush('python');
+        const teams = new WebhookNotifier({ url: receiver.url, template: 'teams' });
+        teams.addAll(jobs);
+        await teams.flush('python');
+        await receiver.close();
+
+        const slackBody = JSON.parse(receiver.received[0].body);
+        assert.equal(slackBody.text, '3 new cleared jobs for "python"');
+        assert.equal(slackBody.blocks.length, 5);
+        assert.match(slackBody.blocks[2].text.text, /^\*<https:\/\/clearedjobs\.net\/job\/1\|Analyst 1>\*\nSAIC · Reston, VA · TS\/SCI$/);
+
+        const card = JSON.parse(receiver.received[1].body).attachments[0];
+        assert.equal(card.contentType, 'application/vnd.microsoft.card.adaptive');
+        assert.equal(card.content.body.length, 4);
+        assert.equal(card.content.body[1].items[0].text, '[Analyst 1](https://clearedjobs.net/job/1)');
+    });
+
+    test('dry run saves payloads instead of sending', async () => {
+        const store = memoryStore();
+        const notifier = new WebhookNotifier({ url: 'http://127.0.0.1:9/never', secret: 'k', dryRun: true, store });
+        notifier.addAll(jobs);
+        await notifier.flush('python');
+
+        const [saved] = store.values.WEBHOOK_DRY_RUN;
+        assert.equal(saved.url, 'http://127.0.0.1:9/never');
+        assert.match(saved.headers['X-ClearedJobs-Signature'], /^sha256=[0-9a-f]{64}$/);
+        assert.equal(saved.payload.jobs.length, 3);
+        assert.deepEqual(notifier.stats, { sent: 0, failed: 0, jobs: 0 });
+    });
+
+    test('does nothing without new jobs and rejects unknown templates', async () => {
+        const store = memoryStore();
+        const notifier = new WebhookNotifier({ dryRun: true, store });
+        await notifier.flush('q');
+        assert.deepEqual(store.values, {});
+        assert.throws(() => new WebhookNotifier({ template: 'discord' }), /Unknown webhook template/);
+    });
+});
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+
+import { log } from 'apify';
+
+import { CoverageReport, planPartitions } from '../src/partition.js';
+
+const BASE_PARAMS = { locale: 'en', sort: 'date', keywords: '' };
+
+function fakeProbe(totals) {
+    const calls = [];
+    const probe = async (params) => {
+        const key = [params.city_state_zip, params.location_remote_option_filter, params.keywords].filter(Boolean).join('|') || 'root';
+        calls.push(key);
+        const total = totals[key] ?? 0;
+        return { data: total ? [{ id: key }] : [], hasNext: total > 10, total, perPage: 10, error: false };
+    };
+    return { probe, calls };
+}
+
+before(() => log.setLevel(log.LEVELS.OFF));
+
+describe('planPartitions', () => {
+    test('keeps a search that already fits as a single partition', async () => {
+        const { probe, calls } = fakeProbe({ root: 150 });
+        const { root, leaves } = await planPartitions({ baseParams: BASE_PARAMS, probe, pageLimit: 20 });
+
+        assert.equal(root.total, 150);
+        assert.deepEqual(leaves.map((l) => l.label), ['all jobs']);
+        assert.equal(leaves[0].firstPage, root);
+        assert.deepEqual(calls, ['root']);
+    });
+
+    test('splits by state, then remote option, then keyword shard', async () => {
+        const { probe } = fakeProbe({
+            root: 600,
+            Virginia: 300,
+            'Virginia|remote': 50,
+            'Virginia|onsite': 230,
+            'Virginia|onsite|engineer': 150,
+            'Virginia|onsite|analyst': 90,
+            Maryland: 100,
+            remote: 40,
+        });
+        const { leaves } = await planPartitions({
+            baseParams: BASE_PARAMS,
+            probe,
+            pageLimit: 20,
+            keywordShards: ['engineer', 'analyst'],
+        });
+
+        assert.deepEqual(leaves.map((l) => l.label), [
+            'Maryland',
+            'Virginia / remote',
+            'Virginia / onsite / engineer',
+            'Virginia / onsite / analyst',
+            'remote (any location)',
+        ]);
+        const engineer = leaves[2];
+        assert.deepEqual(engineer.searchParams, {
+            ...BASE_PARAMS,
+            city_state_zip: 'Virginia',
+            location_remote_option_filter: 'onsite',
+            keywords: 'engineer',
+        });
+        assert.equal(engineer.total, 150);
+        assert.equal(engineer.firstPage.total, 150);
+        assert.ok(leaves.every((l) => !l.truncated));
+    });
+
+    test('skips dimensions the search already pins and flags partitions that never fit', async () => {
+        const { probe } = fakeProbe({ 'Texas|remote|cyber': 900, 'Texas|remote|cyber engineer': 500 });
+        const { leaves } = await planPartitions({
+            baseParams: { ...BASE_PARAMS, city_state_zip: 'Texas', location_remote_option_filter: 'remote', keywords: 'cyber' },
+            probe,
+            pageLimit: 20,
+            keywordShards: ['engineer'],
+        });
+
+        assert.deepEqual(leaves.map((l) => [l.label, l.truncated]), [['engineer', true]]);
+    });
+});
+
+describe('CoverageReport', () => {
+    test('reports per-partition and overall coverage', () => {
+        const report = new CoverageReport(4);
+        report.start({ label: 'Virginia', searchParams: { city_state_zip: 'Virginia' }, total: 3 });
+        report.observe('Virginia', [{ id: 1 }, { id: 2 }]);
+        report.finish('Virginia', 2);
+        report.start({ label: 'remote', searchParams: {}, total: 2 });
+        report.observe('remote', [{ id: 2 }, { id: 3 }]);
+        report.finish('remote', 1);
+
+        const record = report.toRecord(3);
+        assert.equal(record.unique_listed, 3);
+        assert.equal(record.coverage, 75);
+        assert.equal(record.truncated_partitions, 1);
+        assert.deepEqual(record.by_partition[0], {
+            partition: 'Virginia',
+            search_params: { city_state_zip: 'Virginia' },
+            reported_total: 3,
+            pages: 1,
+            listed: 2,
+            saved: 2,
+            truncated: false,
+            coverage: 66.7,
+        });
+
+        const restored = new CoverageReport(4, report.toState());
+        assert.equal(restored.toRecord(3).unique_listed, 3);
+    });
+});
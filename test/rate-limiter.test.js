@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+
+import { log } from 'apify';
+
+import { AdaptiveRateLimiter, parseRetryAfter } from '../src/rate-limiter.js';
+
+before(() => {
+    log.setLevel(log.LEVELS.OFF);
+});
+
+describe('parseRetryAfter', () => {
+    test('reads delta seconds and HTTP dates', () => {
+        const now = Date.parse('2026-07-01T00:00:00Z');
+        assert.equal(parseRetryAfter('3'), 3000);
+        assert.equal(parseRetryAfter('Wed, 01 Jul 2026 00:00:10 GMT', now), 10000);
+        assert.equal(parseRetryAfter(null), null);
+        assert.equal(parseRetryAfter('soon'), null);
+    });
+});
+
+describe('AdaptiveRateLimiter', () => {
+    async function complete(limiter, outcome) {
+        const ticket = await limiter.acquire();
+        limiter.release(ticket, outcome);
+    }
+
+    test('grows additively on healthy responses up to the ceiling', async () => {
+        const limiter = new AdaptiveRateLimiter({ maxConcurrency: 3, initialConcurrency: 1, maxRps: 1000, initialRps: 999 });
+        for (let i = 0; i < 20; i++) await complete(limiter, { status: 200 });
+        assert.equal(limiter.concurrency, 3);
+        assert.equal(limiter.rps, 1000);
+    });
+
+    test('halves on 429 and never drops below the floor', async () => {
+        const limiter = new AdaptiveRateLimiter({ minConcurrency: 2, maxConcurrency: 8, initialConcurrency: 8, minRps: 100, maxRps: 1000, initialRps: 800 });
+        await complete(limiter, { status: 429 });
+        assert.equal(limiter.concurrency, 4);
+        assert.equal(limiter.rps, 400);
+        await complete(limiter, { status: 429 });
+        await complete(limiter, { status: 429 });
+        assert.equal(limiter.concurrency, 2);
+        assert.equal(limiter.rps, 100);
+        assert.equal(limiter.getStats().rateLimited, 3);
+    });
+
+    test('backs off less on 5xx and network errors', async () => {
+        const limiter = new AdaptiveRateLimiter({ maxConcurrency: 8, initialConcurrency: 8, maxRps: 1000, initialRps: 1000 });
+        await complete(limiter, { status: 503 });
+        assert.equal(limiter.concurrency, 6);
+        await complete(limiter, { error: true });
+        assert.equal(limiter.concurrency, 4);
+        assert.deepEqual([limiter.getStats().serverErrors, limiter.getStats().networkErrors], [1, 1]);
+    });
+
+    test('counts responses by status and repeat attempts', async () => {
+        const limiter = new AdaptiveRateLimiter({ maxRps: 1000, initialRps: 1000 });
+        await complete(limiter, { status: 503 });
+        limiter.release(await limiter.acquire({ retry: true }), { status: 200 });
+        await complete(limiter, { error: true });
+        assert.deepEqual(limiter.getStats().byStatus, { 200: 1, 503: 1, network_error: 1 });
+        assert.equal(limiter.getStats().retries, 1);
+    });
+
+    test('pauses new requests for Retry-After', async () => {
+        const limiter = new AdaptiveRateLimiter({ maxRps: 1000, initialRps: 1000 });
+        await complete(limiter, { status: 429, retryAfter: '0.2' });
+        const started = Date.now();
+        await complete(limiter, { status: 200 });
+        assert.ok(Date.now() - started >= 150);
+        assert.equal(limiter.getStats().retryAfterPauses, 1);
+    });
+
+    test('caps the Retry-After pause', async () => {
+        const limiter = new AdaptiveRateLimiter({ maxRps: 1000, initialRps: 1000, maxRetryAfterMs: 100 });
+        await complete(limiter, { status: 429, retryAfter: '86400' });
+        assert.ok(limiter.pausedUntil - Date.now() <= 100);
+        const started = Date.now();
+        await complete(limiter, { status: 200 });
+        assert.ok(Date.now() - started < 1000);
+        assert.equal(limiter.getStats().retryAfterPauses, 1);
+    });
+
+    test('caps in-flight requests at the current concurrency', async () => {
+        const limiter = new AdaptiveRateLimiter({ maxConcurrency: 2, initialConcurrency: 2, maxRps: 1000, initialRps: 1000 });
+        let peak = 0;
+        await Promise.all(Array.from({ length: 6 }, async () => {
+            const ticket = await limiter.acquire();
+            peak = Math.max(peak, limiter.inFlight);
+            await new Promise((resolve) => { setTimeout(resolve, 10); });
+            limiter.release(ticket, { status: 200 });
+        }));
+        assert.equal(peak, 2);
+    });
+});
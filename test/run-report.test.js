@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+
+import { log } from 'apify';
+
+import { isFilled, RunReport } from '../src/run-report.js';
+
+before(() => log.setLevel(log.LEVELS.OFF));
+
+describe('isFilled', () => {
+    test('treats empty strings, lists and objects as missing', () => {
+        assert.deepEqual(
+            ['', null, undefined, [], {}, { city: null }].map(isFilled),
+            [false, false, false, false, false, false],
+        );
+        assert.deepEqual([0, false, 'x', ['a'], { city: 'Reston' }].map(isFilled), [true, true, true, true, true]);
+    });
+});
+
+describe('RunReport', () => {
+    function sampleReport() {
+        const report = new RunReport();
+        report.recordPage({ search: 'all jobs', page: 1, listed: 2, saved: 2, durationMs: 300 });
+        report.recordPage({ search: 'all jobs', page: 2, listed: 0, saved: 0, durationMs: 100, error: true });
+        ['fetched', 'fetched', 'cached', 'fallback'].forEach((outcome) => report.recordDetail(outcome));
+        report.recordDrop('duplicate');
+        report.recordDrop('stale', 3);
+        report.addRecords([
+            { title: 'Engineer', company: 'Acme', salary: '' },
+            { title: 'Analyst', company: null },
+        ]);
+        return report;
+    }
+
+    test('computes detail coverage and per-field fill rates', () => {
+        const report = sampleReport();
+        assert.equal(report.detailCoverage(), 75);
+        assert.deepEqual(report.fillRates(), { company: 50, salary: 0, title: 100 });
+    });
+
+    test('lists every threshold the run falls below', () => {
+        const report = sampleReport();
+        assert.deepEqual(report.checkThresholds({ minDetailCoverage: 70, minFillRate: 50, fields: ['title', 'company'] }), []);
+        assert.deepEqual(report.checkThresholds({ minDetailCoverage: 80, minFillRate: 60, fields: ['title', 'company', 'url'] }), [
+            'detail coverage 75% is below 80%',
+            'field "company" is filled in 50% of records, below 60%',
+            'field "url" is filled in 0% of records, below 60%',
+        ]);
+        assert.deepEqual(report.checkThresholds(), []);
+    });
+
+    test('builds the RUN_REPORT record and restores its counters', () => {
+        const report = sampleReport();
+        const record = report.toRecord({ requests: { total: 7 }, elapsedMs: 1200, failures: ['x'] });
+
+        assert.equal(record.records, 2);
+        assert.deepEqual(
+            [record.pages.fetched, record.pages.failed, record.pages.average_ms, record.pages.slowest_ms],
+            [2, 1, 200, 300],
+        );
+        assert.deepEqual(record.details, { lookups: 4, fetched: 2, cached: 1, fallback: 1, coverage: 75 });
+        assert.deepEqual(record.dropped, { duplicate: 1, cross_posted: 0, filtered: 0, unchanged: 0, stale: 3 });
+        assert.equal(record.passed, false);
+
+        const restored = new RunReport(JSON.parse(JSON.stringify(report.toState())));
+        assert.equal(restored.pages.length, 2);
+        assert.equal(restored.detailCoverage(), 75);
+        assert.equal(restored.records, 0);
+    });
+});
@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { createRecordFilter } from '../src/filters.js';
+import { mapApiJob } from '../src/mapping.js';
+import { createSalaryFilter, normalizeSalary } from '../src/salary.js';
+import { loadFixture } from './helpers/mock-server.js';
+
+describe('normalizeSalary', () => {
+    test('parses a yearly range', () => {
+        assert.deepEqual(normalizeSalary('$120,000 - $150,000/yr'), {
+            salary_min: 120000,
+            salary_max: 150000,
+            salary_currency: 'USD',
+            salary_period: 'year',
+            salary_annualized: 135000,
+        });
+    });
+
+    test('annualizes hourly pay', () => {
+        const out = normalizeSalary('$65/hr');
+        assert.equal(out.salary_period, 'hour');
+        assert.equal(out.salary_min, 65);
+        assert.equal(out.salary_annualized, 135200);
+    });
+
+    test('expands k suffixes', () => {
+        const out = normalizeSalary('$120K-$150K');
+        assert.equal(out.salary_min, 120000);
+        assert.equal(out.salary_max, 150000);
+    });
+
+    test('applies a k after the second figure of a range to both', () => {
+        assert.deepEqual(normalizeSalary('100-120K'), {
+            salary_min: 100000,
+            salary_max: 120000,
+            salary_currency: 'USD',
+            salary_period: 'year',
+            salary_annualized: 110000,
+        });
+        const out = normalizeSalary('$90-110k/yr');
+        assert.deepEqual([out.salary_min, out.salary_max, out.salary_annualized], [90000, 110000, 100000]);
+        assert.equal(normalizeSalary('$65 per hour, 5k bonus').salary_min, 65);
+    });
+
+    test('pairs only figures joined by a range separator and skips 401k and hour counts', () => {
+        const hourly = normalizeSalary('$65/hr, 40 hrs/week');
+        assert.deepEqual([hourly.salary_min, hourly.salary_max, hourly.salary_period], [65, 65, 'hour']);
+        const bonus = normalizeSalary('$65 per hour, 5k bonus');
+        assert.deepEqual([bonus.salary_min, bonus.salary_max], [65, 65]);
+        const open = normalizeSalary('$100K+ plus 401k match');
+        assert.deepEqual([open.salary_min, open.salary_max, open.salary_period], [100000, undefined, 'year']);
+        assert.equal(normalizeSalary('$120,000 plus 401(k)').salary_max, 120000);
+        const spelled = normalizeSalary('$90k to $110k');
+        assert.deepEqual([spelled.salary_min, spelled.salary_max], [90000, 110000]);
+    });
+
+    test('treats "Up to" as an upper bound only', () => {
+        const out = normalizeSalary('Up to $150,000');
+        assert.equal(out.salary_min, undefined);
+        assert.equal(out.salary_max, 150000);
+    });
+
+    test('treats "From" as a lower bound only', () => {
+        const out = normalizeSalary('From $90,000');
+        assert.deepEqual([out.salary_min, out.salary_max, out.salary_annualized], [90000, undefined, 90000]);
+    });
+
+    test('reads other currencies and periods', () => {
+        const monthly = normalizeSalary('€4,500 per month');
+        assert.deepEqual([monthly.salary_currency, monthly.salary_period, monthly.salary_annualized], ['EUR', 'month', 54000]);
+        const pounds = normalizeSalary('£40,000 - £50,000 pa');
+        assert.deepEqual([pounds.salary_currency, pounds.salary_min, pounds.salary_max], ['GBP', 40000, 50000]);
+        assert.equal(normalizeSalary('$700 weekly').salary_annualized, 36400);
+    });
+
+    test('returns no figures for DOE', () => {
+        assert.deepEqual(
+            Object.values(normalizeSalary('DOE')).filter((v) => v !== undefined),
+            [],
+        );
+    });
+
+    test('prefers JSON-LD baseSalary figures', () => {
+        const out = normalizeSalary('Competitive', {
+            '@type': 'MonetaryAmount',
+            currency: 'USD',
+            value: { '@type': 'QuantitativeValue', minValue: 90000, maxValue: 110000, unitText: 'YEAR' },
+        });
+        assert.equal(out.salary_min, 90000);
+        assert.equal(out.salary_max, 110000);
+        assert.equal(out.salary_period, 'year');
+        assert.equal(out.salary_annualized, 100000);
+    });
+
+    test('fills a JSON-LD amount without figures from the text', () => {
+        const exact = normalizeSalary('', { currency: 'USD', value: { value: 55, unitText: 'HOUR' } });
+        assert.deepEqual([exact.salary_min, exact.salary_max, exact.salary_annualized], [55, 55, 114400]);
+        const unitOnly = normalizeSalary('$60/hr', { currency: 'USD', value: { unitText: 'HOUR' } });
+        assert.deepEqual([unitOnly.salary_min, unitOnly.salary_period], [60, 'hour']);
+    });
+});
+
+describe('createSalaryFilter', () => {
+    test('drops jobs below the threshold or without a salary', () => {
+        const keep = createSalaryFilter(100000);
+        assert.equal(keep({ salary_annualized: 135000 }), true);
+        assert.equal(keep({ salary_annualized: 90000 }), false);
+        assert.equal(keep({}), false);
+    });
+
+    test('returns null when unset', () => {
+        assert.equal(createSalaryFilter(undefined), null);
+    });
+});
+
+describe('salary fields on records', () => {
+    const listJobs = [...loadFixture('list-page-1.json').data, ...loadFixture('list-page-2.json').data];
+    const records = ['1914497', '1915020', '1913388'].map((id) => mapApiJob(
+        listJobs.find((job) => String(job.id) === id),
+        loadFixture(`job-${id}.json`).data,
+    ));
+
+    test('maps yearly, hourly and DOE salaries', () => {
+        assert.deepEqual(
+            records.map((r) => [r.salary_period, r.salary_annualized]),
+            [['year', 135000], ['hour', 135200], [undefined, undefined]],
+        );
+    });
+
+    test('applies min_salary to the annualized amount in the record filter', () => {
+        const { recordFilter } = createRecordFilter({ minSalary: 135100 });
+        assert.deepEqual(records.filter(recordFilter).map((r) => r.id), [1915020]);
+    });
+});
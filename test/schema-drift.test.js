@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+
+import { log } from 'apify';
+
+import { collectPaths, SCHEMA_BASELINE_KEY, SchemaProfiler, summarizeDrift } from '../src/schema-drift.js';
+import { loadFixture } from './helpers/mock-server.js';
+
+const listJobs = loadFixture('list-page-1.json').data;
+const detail = loadFixture('job-1914497.json').data;
+
+function memoryStore(values = {}) {
+    return {
+        values,
+        async getValue(key) {
+            return this.values[key] ?? null;
+        },
+        async setValue(key, value) {
+            this.values[key] = value;
+        },
+    };
+}
+
+before(() => log.setLevel(log.LEVELS.OFF));
+
+describe('collectPaths', () => {
+    test('lists nested key paths with their value types', () => {
+        const paths = collectPaths({ id: 1, company: { name: 'SAIC', logo: null }, customBlockList: [{ label: 'Posted', value: 'x' }] });
+        assert.deepEqual(Object.fromEntries([...paths].map(([path, types]) => [path, [...types]])), {
+            id: ['number'],
+            company: ['object'],
+            'company.name': ['string'],
+            'company.logo': ['null'],
+            customBlockList: ['array'],
+            'customBlockList[]': ['object'],
+            'customBlockList[].label': ['string'],
+            'customBlockList[].value': ['string'],
+        });
+    });
+});
+
+describe('SchemaProfiler', () => {
+    async function profileRun(store, { list = listJobs, details = [detail], updateBaseline } = {}) {
+        const profiler = new SchemaProfiler(store, await store.getValue(SCHEMA_BASELINE_KEY));
+        profiler.observe('list', list);
+        profiler.observe('detail', details);
+        return profiler.finish({ updateBaseline });
+    }
+
+    test('stores the first run as the baseline and then reports no drift', async () => {
+        const store = memoryStore();
+        const first = await profileRun(store);
+        assert.deepEqual([first.drift, first.baseline_updated], [false, true]);
+        assert.equal(store.values[SCHEMA_BASELINE_KEY].list.samples, 2);
+        assert.ok(store.values[SCHEMA_BASELINE_KEY].custom_block_labels['Security Clearance']);
+
+        const second = await profileRun(store);
+        assert.equal(second.drift, false);
+        assert.equal(second.baseline_updated, undefined);
+        assert.deepEqual(summarizeDrift(second), []);
+    });
+
+    test('reports new, missing and type-changed fields and custom block labels', async () => {
+        const store = memoryStore();
+        await profileRun(store);
+
+        const changedList = listJobs.map(({ company, customBlockList, ...job }) => ({
+            ...job,
+            id: String(job.id),
+            employer: company,
+            customBlockList: customBlockList.map((b) => ({ ...b, label: b.label === 'Security Clearance' ? 'Clearance' : b.label })),
+        }));
+        const drift = await profileRun(store, { list: changedList });
+
+        assert.equal(drift.drift, true);
+        assert.ok(drift.new_fields.some((f) => f.payload === 'list' && f.path === 'employer'));
+        assert.ok(drift.missing_fields.some((f) => f.payload === 'list' && f.path === 'company'));
+        assert.deepEqual(drift.type_changes.find((c) => c.path === 'id'), { payload: 'list', path: 'id', baseline: ['number'], current: ['string'] });
+        assert.ok(drift.new_labels.includes('Clearance'));
+        assert.equal(drift.missing_labels.includes('Security Clearance'), false, 'still present in the detail payload');
+        assert.ok(drift.missing_fields.every((f) => f.payload === 'list'));
+    });
+
+    test('replaces the baseline only when asked', async () => {
+        const store = memoryStore();
+        await profileRun(store);
+        const renamed = listJobs.map(({ title, ...job }) => ({ ...job, headline: title }));
+
+        await profileRun(store, { list: renamed });
+        assert.ok(store.values[SCHEMA_BASELINE_KEY].list.fields.title);
+
+        await profileRun(store, { list: renamed, updateBaseline: true });
+        assert.equal(store.values[SCHEMA_BASELINE_KEY].list.fields.title, undefined);
+        assert.equal((await profileRun(store, { list: renamed })).drift, false);
+    });
+});
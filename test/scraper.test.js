@@ -0,0 +1,451 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { log } from 'apify';
+
+import { DetailCache } from '../src/detail-cache.js';
+import { DuplicateClusterer } from '../src/duplicates.js';
+import { JobHistory } from '../src/history.js';
+import { ClientManager, retryDelays } from '../src/http.js';
+import { IncrementalState } from '../src/incremental.js';
+import { AdaptiveRateLimiter } from '../src/rate-limiter.js';
+import { RunReport } from '../src/run-report.js';
+import { collectFromApi, fetchListPage, saveDeliveredState } from '../src/scraper.js';
+import { buildSkillTaxonomy, createSkillsFilter } from '../src/skills.js';
+import { json, loadFixture, startMockServer, text } from './helpers/mock-server.js';
+
+const page1 = loadFixture('list-page-1.json');
+const page2 = loadFixture('list-page-2.json');
+const details = {
+    'detail:1914497': json(loadFixture('job-1914497.json')),
+    'detail:1915020': json(loadFixture('job-1915020.json')),
+    'detail:1913388': json(loadFixture('job-1913388.json')),
+};
+
+function memoryDataset() {
+    return {
+        items: [],
+        async pushData(items) {
+            this.items.push(...items);
+        },
+    };
+}
+
+async function run(server, options = {}) {
+    const dataset = memoryDataset();
+    const saved = await collectFromApi({
+        searchParams: { locale: 'en', sort: 'date', keywords: '' },
+        maxPages: 5,
+        resultsWanted: 100,
+        seen: new Set(),
+        dataset,
+        clientManager: new ClientManager(undefined, new AdaptiveRateLimiter({ maxConcurrency: 4, maxRps: 200 })),
+        baseUrl: server.baseUrl,
+        ...options,
+    });
+    return { saved, items: dataset.items };
+}
+
+before(() => {
+    log.setLevel(log.LEVELS.OFF);
+    Object.assign(retryDelays, { rateLimitMs: 10, serverErrorMs: 10, networkErrorMs: 10 });
+});
+
+describe('collectFromApi', () => {
+    let server;
+    after(() => server?.close());
+
+    test('follows links.next, enriches details and dedups across pages', async () => {
+        server = await startMockServer({ 'list:1': json(page1), 'list:2': json(page2), ...details });
+        const { saved, items } = await run(server);
+        await server.close();
+
+        assert.equal(saved, 3);
+        assert.deepEqual(items.map((i) => i.id), [1914497, 1915020, 1913388]);
+        assert.equal(items[0].salary_max, 150000);
+        assert.equal(items[1].polygraph, 'full-scope');
+        assert.equal(server.hitsFor('list:3'), 0);
+        // The repeat of 1914497 on page 2 is skipped before its detail is fetched
+        assert.equal(server.hitsFor('detail:1914497'), 1);
+    });
+
+    test('lets a later batch search save a job an earlier search filtered out', async () => {
+        server = await startMockServer({ 'list:1': json({ ...page1, links: {} }), ...details });
+        const seen = new Set();
+        const matchIndex = new Map();
+        const first = await run(server, { seen, matchIndex, searchLabel: 'secret', recordFilter: (r) => r.id !== 1914497 });
+        const second = await run(server, { seen, matchIndex, searchLabel: 'all' });
+        await server.close();
+
+        assert.deepEqual(first.items.map((i) => i.id), [1915020]);
+        assert.deepEqual(second.items.map((i) => [i.id, i.search_query]), [[1914497, 'all']]);
+        assert.deepEqual(first.items[0].matched_queries, ['secret', 'all']);
+    });
+
+    test('skips jobs saved by an earlier batch search before enrichment and records the query', async () => {
+        server = await startMockServer({ 'list:1': json({ ...page1, links: {} }), ...details });
+        const seen = new Set();
+        const matchIndex = new Map();
+        const report = new RunReport();
+        const first = await run(server, { seen, matchIndex, report, searchLabel: 'python' });
+        const second = await run(server, { seen, matchIndex, report, searchLabel: 'java' });
+        await server.close();
+
+        assert.equal(first.saved, 2);
+        assert.equal(second.saved, 0);
+        assert.deepEqual(first.items.map((i) => [i.search_query, i.matched_queries]), [
+            ['python', ['python', 'java']],
+            ['python', ['python', 'java']],
+        ]);
+        assert.equal(server.hitsFor('detail:1914497'), 1);
+        assert.equal(server.hitsFor('detail:1915020'), 1);
+        assert.equal(report.dropped.duplicate, 2);
+    });
+
+    test('retries a 429 on the list endpoint', async () => {
+        server = await startMockServer({
+            'list:1': [json({ message: 'Too Many Requests' }, 429, { 'retry-after': '0' }), json(page2)],
+            ...details,
+        });
+        const { saved } = await run(server);
+        await server.close();
+
+        assert.equal(saved, 2);
+        assert.equal(server.hitsFor('list:1'), 2);
+    });
+
+    test('falls back to list data when details keep failing with 5xx', async () => {
+        server = await startMockServer({ 'list:1': json({ ...page1, links: {} }), 'detail:1914497': text('boom', 503), 'detail:1915020': text('boom', 500) });
+        const { items } = await run(server);
+        await server.close();
+
+        assert.equal(items.length, 2);
+        assert.equal(items[0].salary, undefined);
+        assert.equal(items[0].security_clearance, 'TS/SCI');
+        assert.equal(server.hitsFor('detail:1914497'), 2);
+    });
+
+    test('records pages, detail outcomes, drops and statuses for the run report', async () => {
+        server = await startMockServer({ 'list:1': json(page1), 'list:2': json(page2), ...details, 'detail:1915020': text('boom', 503) });
+        const report = new RunReport();
+        const clientManager = new ClientManager(undefined, new AdaptiveRateLimiter({ maxConcurrency: 4, maxRps: 200 }));
+        await run(server, { report, clientManager });
+        await server.close();
+
+        assert.deepEqual(report.pages.map((p) => [p.page, p.listed, p.saved, p.error]), [[1, 2, 2, false], [2, 2, 1, false]]);
+        assert.ok(report.pages.every((p) => p.duration_ms >= 0));
+        assert.deepEqual(report.details, { fetched: 2, cached: 0, fallback: 1 });
+        assert.equal(report.dropped.duplicate, 1);
+
+        const stats = clientManager.rateLimiter.getStats();
+        assert.deepEqual(stats.byStatus, { 200: 4, 503: 2 });
+        assert.equal(stats.retries, 1);
+    });
+
+    test('tags cross-posted copies and drops them in keep-first mode', async () => {
+        const crossPost = (id, location) => ({
+            id,
+            title: 'Sr. Cyber Analyst',
+            company: 'Acme Federal',
+            location,
+            customBlockList: [{ label: 'Job Reference ID', value: 'R-77' }],
+        });
+        const list = json({ data: [crossPost(1, 'Columbia, MD'), crossPost(2, 'Tampa, FL'), { id: 3, title: 'Linguist', company: 'Acme Federal' }] });
+
+        for (const mode of ['keep-all-tagged', 'keep-first']) {
+            server = await startMockServer({ 'list:1': list });
+            const report = new RunReport();
+            const { items } = await run(server, { duplicates: new DuplicateClusterer({ mode }), report });
+            await server.close();
+
+            const groups = items.map((i) => i.duplicate_group_id);
+            if (mode === 'keep-all-tagged') {
+                assert.deepEqual(items.map((i) => i.id), [1, 2, 3]);
+                assert.equal(groups[0], groups[1]);
+                assert.notEqual(groups[2], groups[0]);
+            } else {
+                assert.deepEqual(items.map((i) => i.id), [1, 3]);
+                assert.equal(report.dropped.cross_posted, 1);
+            }
+        }
+    });
+
+    test('tags skills and job family before the required skills filter', async () => {
+        server = await startMockServer({ 'list:1': json(page1), 'list:2': json(page2), ...details });
+        const skillTaxonomy = buildSkillTaxonomy();
+        const { items } = await run(server, { skillTaxonomy, recordFilter: createSkillsFilter(['Linux'], skillTaxonomy) });
+        await server.close();
+
+        assert.deepEqual(items.map((i) => [i.id, i.skills, i.job_family]), [[1913388, ['Linux'], 'network']]);
+    });
+
+    test('diffs saved records against their history snapshots', async () => {
+        const values = {};
+        const store = {
+            async getValue(key) {
+                return structuredClone(values[key] ?? null);
+            },
+            async setValue(key, value) {
+                values[key] = structuredClone(value);
+            },
+        };
+        const list = json({ ...page1, links: {} });
+        const edited = loadFixture('job-1915020.json');
+        edited.data.salary = '$70/hr';
+
+        server = await startMockServer({ 'list:1': list, ...details });
+        await run(server, { history: new JobHistory(store) });
+        await server.close();
+        server = await startMockServer({ 'list:1': list, ...details, 'detail:1915020': json(edited) });
+        const { items } = await run(server, { history: new JobHistory(store) });
+        await server.close();
+
+        assert.deepEqual(items.map((i) => [i.id, i.snapshot_version]), [[1914497, 1], [1915020, 2]]);
+        assert.deepEqual(items[0].changes, []);
+        assert.deepEqual(items[1].changes.map((c) => [c.field, c.old_value, c.new_value]), [
+            ['salary', '$65/hr', '$70/hr'],
+            ['salary_min', 65, 70],
+            ['salary_max', 65, 70],
+        ]);
+        assert.equal(values['job-1915020'].versions.length, 2);
+    });
+
+    test('skips a page with malformed JSON and continues', async () => {
+        server = await startMockServer({ 'list:1': text('{"data": [', 200), 'list:2': json(page2), ...details });
+        const { saved, items } = await run(server);
+        await server.close();
+
+        assert.equal(saved, 2);
+        assert.deepEqual(items.map((i) => i.id), [1914497, 1913388]);
+    });
+
+    test('stops on an empty page', async () => {
+        server = await startMockServer({ 'list:1': json({ data: [], links: { next: 'x' } }), 'list:2': json(page2) });
+        const { saved } = await run(server);
+        await server.close();
+
+        assert.equal(saved, 0);
+        assert.equal(server.hitsFor('list:2'), 0);
+    });
+
+    test('stops when links.next is missing', async () => {
+        const { links, ...withoutLinks } = page1;
+        assert.ok(links);
+        server = await startMockServer({ 'list:1': json(withoutLinks), 'list:2': json(page2), ...details });
+        const { saved } = await run(server);
+        await server.close();
+
+        assert.equal(saved, 2);
+        assert.equal(server.hitsFor('list:2'), 0);
+    });
+
+    test('respects results_wanted and max_pages', async () => {
+        server = await startMockServer({ 'list:1': json(page1), 'list:2': json(page2), ...details });
+        const capped = await run(server, { resultsWanted: 1 });
+        const onePage = await run(server, { maxPages: 1 });
+        await server.close();
+
+        assert.equal(capped.saved, 1);
+        assert.equal(onePage.saved, 2);
+    });
+
+    test('skips listings older than the posted cutoff without fetching details', async () => {
+        server = await startMockServer({ 'list:1': json(page1), 'list:2': json(page2), ...details });
+        const { items } = await run(server, { postedCutoff: Date.UTC(2026, 6, 11, 12) });
+        await server.close();
+
+        assert.deepEqual(items.map((i) => i.id), [1914497]);
+        assert.equal(server.hitsFor('detail:1915020'), 0);
+        assert.equal(server.hitsFor('detail:1913388'), 0);
+    });
+
+    test('uses a first page the caller already fetched', async () => {
+        server = await startMockServer({ 'list:1': json(page1), 'list:2': json(page2), ...details });
+        const firstPage = { data: page1.data, hasNext: true, error: false };
+        const { saved } = await run(server, { firstPage });
+        await server.close();
+
+        assert.equal(saved, 3);
+        assert.equal(server.hitsFor('list:1'), 0);
+    });
+
+    test('hands saved jobs to the notifier and flushes it at the end', async () => {
+        server = await startMockServer({ 'list:1': json(page1), 'list:2': json(page2), ...details });
+        const calls = [];
+        const notifier = {
+            addAll: (items) => calls.push(['add', items.map((i) => i.id)]),
+            flush: async (label) => calls.push(['flush', label]),
+        };
+        await run(server, { notifier, searchLabel: 'all' });
+        await server.close();
+
+        assert.deepEqual(calls, [['add', [1914497, 1915020]], ['add', [1913388]], ['flush', 'all']]);
+    });
+
+    test('reports progress once per saved page and resumes from a checkpointed page', async () => {
+        server = await startMockServer({ 'list:1': json(page1), 'list:2': json(page2), ...details });
+        const progress = [];
+        const first = await run(server, { onProgress: async (p) => progress.push(p) });
+        assert.deepEqual(progress, [
+            { page: 2, saved: 2 },
+            { page: 3, saved: 3 },
+        ]);
+        assert.equal(first.saved, 3);
+
+        // Restart after page 1 was saved: jobs already pushed are in `seen`
+        const resumed = await run(server, { startPage: 2, startSaved: 2, seen: new Set(['id:1914497', 'id:1915020']) });
+        await server.close();
+
+        assert.equal(resumed.saved, 3);
+        assert.deepEqual(resumed.items.map((i) => i.id), [1913388]);
+        assert.equal(server.hitsFor('list:1'), 1);
+    });
+
+    test('stops at a page where every listing is older than the cutoff under date sort', async () => {
+        server = await startMockServer({ 'list:1': json(page1), 'list:2': json(page2), ...details });
+        const { saved } = await run(server, { postedCutoff: Date.UTC(2026, 6, 13) });
+        await server.close();
+
+        assert.equal(saved, 0);
+        assert.equal(server.hitsFor('list:2'), 0);
+    });
+});
+
+describe('fetchListPage', () => {
+    test('reads the paginator total and page size', async () => {
+        const server = await startMockServer({ 'list:1': json(page1), 'list:2': json({ data: [] }) });
+        const clientManager = new ClientManager(undefined, new AdaptiveRateLimiter({ maxRps: 200 }));
+        const first = await fetchListPage(clientManager, `${server.baseUrl}/api/v1/jobs`, {}, 1);
+        const bare = await fetchListPage(clientManager, `${server.baseUrl}/api/v1/jobs`, {}, 2);
+        await server.close();
+
+        assert.deepEqual([first.total, first.perPage], [3, 2]);
+        assert.deepEqual([bare.total, bare.perPage], [null, null]);
+    });
+
+    test('forwards repeated params and the page number', async () => {
+        const server = await startMockServer({ 'list:3': json(page2) });
+        const result = await fetchListPage(new ClientManager(), `${server.baseUrl}/api/v1/jobs`, { 'category[]': ['1', '2'], keywords: 'x' }, 3);
+        await server.close();
+
+        assert.equal(result.error, false);
+        assert.equal(result.hasNext, false);
+        assert.deepEqual(server.requests[0].url.searchParams.getAll('category[]'), ['1', '2']);
+    });
+});
+
+describe('detail cache', () => {
+    function memoryStore() {
+        const values = new Map();
+        return {
+            values,
+            async getValue(key) { return values.get(key) ?? null; },
+            async setValue(key, value) { values.set(key, structuredClone(value)); },
+        };
+    }
+
+    test('skips detail requests for unchanged listings', async () => {
+        const store = memoryStore();
+        const server = await startMockServer({ 'list:1': json(page1), 'list:2': json(page2), ...details });
+        const first = await run(server, { detailCache: new DetailCache(store) });
+        const second = await run(server, { detailCache: new DetailCache(store) });
+        await server.close();
+
+        assert.equal(server.hitsFor('detail:1914497'), 1);
+        assert.deepEqual(second.items, first.items);
+    });
+
+    test('re-fetches modified, expired or force-refreshed listings', async () => {
+        const store = memoryStore();
+        const job = page1.data[0];
+        const cache = new DetailCache(store);
+        await cache.set(job, { salary: '$1' });
+
+        assert.deepEqual(await cache.get(job), { salary: '$1' });
+        assert.equal(await cache.get({ ...job, modified_time: job.modified_time + 60 }), null);
+        assert.equal(await new DetailCache(store, { forceRefresh: true }).get(job), null);
+
+        store.values.get(DetailCache.keyFor(job.id)).fetchedAt = '2000-01-01T00:00:00Z';
+        assert.equal(await new DetailCache(store, { ttlHours: 1 }).get(job), null);
+        assert.deepEqual(await new DetailCache(store, { ttlHours: 0 }).get(job), { salary: '$1' });
+        assert.deepEqual(cache.stats, { hits: 1, misses: 0, modified: 1, expired: 0, writes: 1 });
+    });
+});
+
+describe('incremental mode', () => {
+    function memoryStore() {
+        const values = new Map();
+        return {
+            values,
+            async getValue(key) { return values.get(key) ?? null; },
+            async setValue(key, value) { values.set(key, structuredClone(value)); },
+        };
+    }
+
+    const onePage = (data) => ({ 'list:1': json({ ...page1, data, links: {} }), ...details });
+
+    test('returns nothing on a second run without fetching details again', async () => {
+        const store = memoryStore();
+        const server = await startMockServer(onePage(page1.data));
+        const first = await run(server, { incrementalState: new IncrementalState(store) });
+        const report = new RunReport();
+        const second = await run(server, { incrementalState: new IncrementalState(store, store.values.get('SEEN_JOBS').jobs), report });
+        await server.close();
+
+        assert.deepEqual(first.items.map((i) => i.change_type), ['new', 'new']);
+        assert.equal(second.saved, 0);
+        assert.deepEqual(second.items, []);
+        assert.equal(report.dropped.unchanged, 2);
+        assert.equal(server.hitsFor('detail:1914497'), 1);
+        assert.equal(server.hitsFor('detail:1915020'), 1);
+    });
+
+    test('leaves held records undelivered until the caller saves their state', async () => {
+        const store = memoryStore();
+        const incrementalState = new IncrementalState(store);
+        const history = new JobHistory(store);
+        const server = await startMockServer(onePage(page1.data));
+        const held = await run(server, { incrementalState, history, holdsRecords: true });
+        await server.close();
+
+        assert.equal(held.saved, 2);
+        assert.equal(store.values.get('SEEN_JOBS'), undefined);
+        assert.equal(store.values.get(JobHistory.keyFor(page1.data[0].id)), undefined);
+
+        await saveDeliveredState(held.items, { incrementalState, history });
+        assert.deepEqual(Object.keys(store.values.get('SEEN_JOBS').jobs), page1.data.map((job) => `id:${job.id}`));
+        assert.equal(store.values.get(JobHistory.keyFor(page1.data[0].id)).versions.length, 1);
+    });
+
+    test('flags a job whose list modified_time changed as updated', async () => {
+        const store = memoryStore();
+        const [job, other] = page1.data;
+        let server = await startMockServer(onePage([job, other]));
+        await run(server, { incrementalState: new IncrementalState(store) });
+        await server.close();
+
+        server = await startMockServer(onePage([{ ...job, modified_time: job.modified_time + 3600 }, other]));
+        const second = await run(server, { incrementalState: new IncrementalState(store, store.values.get('SEEN_JOBS').jobs) });
+        await server.close();
+
+        assert.deepEqual(second.items.map((i) => [i.id, i.change_type]), [[job.id, 'updated']]);
+        assert.equal(server.hitsFor(`detail:${other.id}`), 0);
+    });
+
+    test('compares list stamps only, not the detail page\'s JSON-LD dateModified', async () => {
+        const store = memoryStore();
+        const [job] = page1.data;
+        const { modified_time: _, ...unstamped } = job;
+        let server = await startMockServer(onePage([unstamped]));
+        await run(server, { incrementalState: new IncrementalState(store) });
+        await server.close();
+
+        assert.deepEqual(store.values.get('SEEN_JOBS').jobs, { [`id:${job.id}`]: null });
+        server = await startMockServer(onePage([unstamped]));
+        const second = await run(server, { incrementalState: new IncrementalState(store, store.values.get('SEEN_JOBS').jobs) });
+        await server.close();
+
+        assert.equal(second.saved, 0);
+        assert.equal(server.hitsFor(`detail:${job.id}`), 0);
+    });
+});
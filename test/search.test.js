@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+
+import { log } from 'apify';
+
+import { buildSearchParams, normalizeSearch } from '../src/search.js';
+
+before(() => {
+    log.setLevel(log.LEVELS.OFF);
+});
+
+describe('buildSearchParams', () => {
+    test('builds params from input fields', () => {
+        assert.deepEqual(buildSearchParams({ keywords: 'python', location: 'Arlington, VA', remoteOption: 'hybrid', radius: 25 }), {
+            locale: 'en',
+            sort: 'date',
+            keywords: 'python',
+            city_state_zip: 'Arlington, VA',
+            location_remote_option_filter: 'hybrid',
+            radius: '25',
+        });
+    });
+
+    test('forwards every startUrl param except page', () => {
+        const params = buildSearchParams({
+            keywords: 'ignored',
+            startUrl: 'https://clearedjobs.net/jobs?Keywords=splunk&page=4&category[]=1&category[]=2&foo=bar',
+        });
+        assert.equal(params.keywords, 'splunk');
+        assert.deepEqual(params['category[]'], ['1', '2']);
+        assert.equal(params.foo, 'bar');
+        assert.equal(params.page, undefined);
+    });
+
+    test('applies extra params last', () => {
+        const params = buildSearchParams({ keywords: 'x', extraParams: { sort: 'relevance', page: 9, empty: '' } });
+        assert.equal(params.sort, 'relevance');
+        assert.equal(params.page, undefined);
+        assert.equal(params.empty, undefined);
+    });
+
+    test('sends radius only with a location', () => {
+        assert.equal(buildSearchParams({ keywords: 'x', radius: 25 }).radius, undefined);
+        assert.equal(buildSearchParams({ keywords: 'x', location: '20755', radius: 25 }).radius, '25');
+    });
+
+    test('lets startUrl filters override the inputs whatever their case', () => {
+        const params = buildSearchParams({
+            keywords: 'x',
+            location: 'Reston, VA',
+            radius: 10,
+            startUrl: 'https://clearedjobs.net/jobs?RADIUS=50&City_State_Zip=Tampa',
+        });
+        assert.equal(params.city_state_zip, 'Tampa');
+        assert.equal(params.radius, '50');
+    });
+
+    test('keeps the inputs when the startUrl is invalid and stringifies array extra params', () => {
+        const params = buildSearchParams({
+            keywords: 'x',
+            remoteOption: 'remote',
+            startUrl: 'http://[bad',
+            extraParams: { 'filter[]': [1, 2] },
+        });
+        assert.equal(params.location_remote_option_filter, 'remote');
+        assert.deepEqual(params['filter[]'], ['1', '2']);
+    });
+});
+
+describe('normalizeSearch', () => {
+    const defaults = { resultsWanted: 50, maxPages: 5 };
+
+    test('accepts a bare URL', () => {
+        const search = normalizeSearch('clearedjobs.net/jobs?keywords=rust', defaults);
+        assert.equal(search.label, 'https://clearedjobs.net/jobs?keywords=rust');
+        assert.equal(search.searchParams.keywords, 'rust');
+        assert.equal(search.resultsWanted, 50);
+    });
+
+    test('uses per-search limits and a readable label', () => {
+        const search = normalizeSearch({ keywords: 'python', location: 'Huntsville, AL', results_wanted: 10, max_pages: 2 }, defaults);
+        assert.equal(search.label, 'python in Huntsville, AL');
+        assert.equal(search.resultsWanted, 10);
+        assert.equal(search.maxPages, 2);
+    });
+
+    test('merges the shared extra params under each entry\'s own', () => {
+        const shared = { ...defaults, extraParams: { category: '7', sort: 'relevance' } };
+        const search = normalizeSearch({ keywords: ' splunk ', label: ' SOC ', extra_params: { sort: 'date' } }, shared);
+        assert.equal(search.label, 'SOC');
+        assert.deepEqual(search.searchParams, { locale: 'en', sort: 'date', keywords: 'splunk', category: '7' });
+    });
+
+    test('falls back to the top-level limits for invalid entry limits', () => {
+        const search = normalizeSearch({ remote_option: 'remote', results_wanted: 'all', max_pages: 0 }, defaults);
+        assert.equal(search.label, 'all jobs (remote)');
+        assert.equal(search.resultsWanted, 50);
+        assert.equal(search.maxPages, 5);
+    });
+});
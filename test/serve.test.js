@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+
+import { log } from 'apify';
+
+import { ClientManager } from '../src/http.js';
+import { AdaptiveRateLimiter } from '../src/rate-limiter.js';
+import { collectFromApi } from '../src/scraper.js';
+import { JobIndex, JobServer } from '../src/serve.js';
+import { buildSkillTaxonomy } from '../src/skills.js';
+import { json, loadFixture, startMockServer } from './helpers/mock-server.js';
+
+const NOW = Date.parse('2026-07-20T00:00:00Z');
+
+const jobs = [
+    { id: 1, title: 'Splunk Engineer', company: 'Acme Federal', clearance_level: 'TS/SCI', posted_at: '2026-07-18T00:00:00Z', skills: ['Splunk'] },
+    { id: 2, title: 'Network Engineer', company: 'Beta Systems LLC', clearance_level: 'Secret', posted_at: '2026-07-10T00:00:00Z' },
+    { id: 3, title: 'All-Source Analyst', company: 'Acme Federal', clearance_level: 'TS/SCI', posted_at: '2026-07-19T00:00:00Z', description_text: 'Fuse SIGINT reporting' },
+];
+
+before(() => log.setLevel(log.LEVELS.OFF));
+
+describe('JobIndex', () => {
+    const index = new JobIndex();
+    index.upsert(jobs);
+
+    test('filters by clearance, company, words and posting date, newest first', () => {
+        assert.deepEqual(index.query({ clearance: 'ts/sci' }, NOW).items.map((j) => j.id), [3, 1]);
+        assert.deepEqual(index.query({ clearance: 'Secret,TS/SCI', company: 'acme' }, NOW).items.map((j) => j.id), [3, 1]);
+        assert.deepEqual(index.query({ q: 'sigint  analyst' }, NOW).items.map((j) => j.id), [3]);
+        assert.deepEqual(index.query({ q: 'splunk' }, NOW).items.map((j) => j.id), [1]);
+        assert.deepEqual(index.query({ since: '5 days ago' }, NOW).items.map((j) => j.id), [3, 1]);
+    });
+
+    test('pages through matches and rejects unreadable parameters', () => {
+        assert.deepEqual(index.query({ limit: '1', offset: '1' }, NOW), { total: 3, offset: 1, count: 1, items: [jobs[0]] });
+        assert.throws(() => index.query({ since: 'someday' }, NOW), /since/);
+        assert.throws(() => index.query({ limit: '0' }, NOW), /limit/);
+        assert.throws(() => index.query({ offset: '-1' }, NOW), /offset/);
+    });
+
+    test('replaces records found again and drops those a refresh did not find', () => {
+        const refreshed = new JobIndex();
+        refreshed.upsert(jobs);
+        refreshed.upsert([{ ...jobs[1], title: 'Senior Network Engineer' }]);
+        assert.equal(refreshed.size, 3);
+        assert.equal(refreshed.get('2').title, 'Senior Network Engineer');
+        assert.equal(refreshed.get(4), null);
+        assert.deepEqual(refreshed.stats().by_clearance_level, { 'TS/SCI': 2, Secret: 1 });
+        assert.deepEqual(refreshed.stats().top_companies[0], { name: 'Acme Federal', jobs: 2 });
+
+        assert.equal(refreshed.retain(new Set(['1', '3'])), 1);
+        assert.equal(refreshed.get(2), null);
+        assert.equal(refreshed.size, 2);
+    });
+});
+
+describe('JobServer', () => {
+    let jobServer;
+    let baseUrl;
+    after(() => jobServer?.close());
+
+    const get = async (path) => {
+        const res = await fetch(`${baseUrl}${path}`);
+        return { status: res.status, body: await res.json() };
+    };
+
+    test('answers /jobs, /jobs/:id and /stats', async () => {
+        const index = new JobIndex();
+        index.upsert(jobs);
+        jobServer = new JobServer(index);
+        baseUrl = `http://127.0.0.1:${await jobServer.listen(0, '127.0.0.1')}`;
+
+        const list = await get('/jobs?clearance=Secret');
+        assert.equal(list.status, 200);
+        assert.deepEqual(list.body.items.map((j) => j.id), [2]);
+        assert.equal((await get('/jobs/3')).body.title, 'All-Source Analyst');
+        assert.equal((await get('/jobs/99')).status, 404);
+        assert.equal((await get('/jobs/%E0')).status, 400);
+        assert.equal((await get('/jobs/3')).status, 200);
+        assert.equal((await get('/jobs?since=someday')).status, 400);
+        assert.equal((await get('/nowhere')).status, 404);
+        const stats = await get('/stats');
+        assert.equal(stats.body.jobs, 3);
+        assert.equal(stats.body.refresh.refreshes, 0);
+        assert.equal((await fetch(`${baseUrl}/jobs`, { method: 'POST' })).status, 405);
+        await jobServer.close();
+    });
+
+    test('refreshes the index from the scrape pipeline until stopped', async () => {
+        const upstream = await startMockServer({
+            'list:1': json(loadFixture('list-page-1.json')),
+            'list:2': json(loadFixture('list-page-2.json')),
+            'detail:1914497': json(loadFixture('job-1914497.json')),
+            'detail:1915020': json(loadFixture('job-1915020.json')),
+            'detail:1913388': json(loadFixture('job-1913388.json')),
+        });
+        const clientManager = new ClientManager(undefined, new AdaptiveRateLimiter({ maxConcurrency: 4, maxRps: 200 }));
+        const skillTaxonomy = buildSkillTaxonomy();
+        jobServer = new JobServer();
+        baseUrl = `http://127.0.0.1:${await jobServer.listen(0, '127.0.0.1')}`;
+
+        const refresh = async (push) => {
+            await collectFromApi({
+                searchParams: { locale: 'en', sort: 'date', keywords: '' },
+                maxPages: 5,
+                resultsWanted: 100,
+                seen: new Set(),
+                dataset: { pushData: async (items) => push(items) },
+                clientManager,
+                skillTaxonomy,
+                baseUrl: upstream.baseUrl,
+            });
+            if (jobServer.stats.refreshes === 1) jobServer.stop();
+        };
+        await jobServer.run(refresh, 10);
+        await upstream.close();
+
+        assert.equal(jobServer.stats.refreshes, 2);
+        assert.equal(jobServer.stats.last_saved, 3);
+        assert.equal(jobServer.index.size, 3);
+        assert.deepEqual(jobServer.index.get(1913388).skills, ['Linux']);
+        assert.equal(upstream.hitsFor('list:1'), 2);
+        assert.equal(jobServer.server.listening, false);
+    });
+
+    test('evicts jobs a successful refresh no longer finds and keeps them after a failed one', async () => {
+        jobServer = new JobServer();
+        jobServer.index.upsert(jobs);
+        await jobServer.refresh(async (push) => push([jobs[0], { ...jobs[2], title: 'Senior All-Source Analyst' }]));
+        assert.deepEqual([...jobServer.index.records.keys()], ['1', '3']);
+        assert.equal(jobServer.stats.last_dropped, 1);
+
+        await jobServer.refresh(async () => {
+            throw new Error('upstream down');
+        });
+        assert.equal(jobServer.index.size, 2);
+        assert.equal(jobServer.stats.failed, 1);
+        await jobServer.close();
+    });
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import { createRecordFilter } from '../src/filters.js';
+import { buildSkillTaxonomy, classifyJobFamily, createSkillsFilter, findSkills, tagSkills } from '../src/skills.js';
+
+describe('findSkills', () => {
+    test('matches aliases as whole words and reports canonical names', () => {
+        assert.deepEqual(
+            findSkills('Deploy to AWS GovCloud with k8s and Terraform; write Python and C++ against .NET services.'),
+            ['Python', 'C++', '.NET', 'AWS', 'AWS GovCloud', 'Kubernetes', 'Terraform'],
+        );
+        assert.deepEqual(findSkills('Support the RMF process through ATO in eMASS, STIG and ACAS scans'), [
+            'ACAS / Nessus',
+            'RMF',
+            'ATO',
+            'eMASS',
+            'STIG',
+        ]);
+    });
+
+    test('does not match inside other words', () => {
+        assert.deepEqual(findSkills('JavaScript only'), ['JavaScript']);
+        assert.deepEqual(findSkills('A trusted gatorade scalability'), []);
+        assert.deepEqual(findSkills('Mentors the  team through Scrum ceremonies'), ['Agile']);
+    });
+
+    test('does not tag skills whose names are ordinary words in prose', () => {
+        for (const text of [
+            'Candidates must be willing to go on travel',
+            'Own the go-to-market plan',
+            'Remedy findings before the inspection',
+            'Targeting new customers in the region',
+            'An agile, flexible team player who can react quickly',
+            'Supports acquisition and budgeting for the program office',
+            'Spark innovation in a Palo Alto office with rust-proof gear',
+        ]) {
+            assert.deepEqual(findSkills(text), [], text);
+        }
+    });
+
+    test('still tags the qualified aliases of those skills', () => {
+        assert.deepEqual(
+            findSkills('Golang services, BMC Remedy tickets, target development, Agile development and DoD acquisition'),
+            ['Go', 'Targeting', 'Remedy', 'Agile', 'Acquisition'],
+        );
+    });
+});
+
+describe('buildSkillTaxonomy', () => {
+    test('adds aliases to known skills and new skills from the input', () => {
+        const taxonomy = buildSkillTaxonomy({ splunk: ['SPL'], 'Ghidra': ['reverse engineering'], Empty: null });
+        assert.deepEqual(findSkills('Writes SPL dashboards', taxonomy), ['Splunk']);
+        assert.deepEqual(findSkills('Reverse engineering with Ghidra', taxonomy), ['Ghidra']);
+        assert.equal(taxonomy.find((s) => s.name === 'Ghidra').category, 'custom');
+        assert.deepEqual(findSkills('Empty', taxonomy), ['Empty']);
+    });
+});
+
+describe('classifyJobFamily', () => {
+    test('reads the family from the title first', () => {
+        assert.equal(classifyJobFamily('Cyber Program Manager'), 'program_management');
+        assert.equal(classifyJobFamily('ISSO III'), 'cyber');
+        assert.equal(classifyJobFamily('SIGINT Software Developer'), 'software');
+        assert.equal(classifyJobFamily('Network Engineer - TS/SCI'), 'network');
+        assert.equal(classifyJobFamily('All-Source Intelligence Analyst'), 'intel_analyst');
+    });
+
+    test('falls back to the skills when the title is vague', () => {
+        assert.equal(classifyJobFamily('Mission Specialist', ['SIGINT', 'ArcGIS', 'Python']), 'intel_analyst');
+        assert.equal(classifyJobFamily('Mission Specialist', ['Python']), null);
+        assert.equal(classifyJobFamily('Facility Security Officer'), null);
+    });
+});
+
+describe('tagSkills', () => {
+    test('tags title, summary and description', () => {
+        const tags = tagSkills({
+            title: 'Splunk Engineer',
+            short_description: 'RMF support',
+            description_text: 'Build dashboards and ServiceNow integrations on RHEL.',
+        });
+        assert.deepEqual(tags, { skills: ['Linux', 'Splunk', 'RMF', 'ServiceNow'], job_family: 'cyber' });
+    });
+});
+
+describe('createSkillsFilter', () => {
+    test('keeps records with every required skill, by name or alias', () => {
+        const keep = createSkillsFilter(['kubernetes', 'Amazon Web Services']);
+        assert.equal(keep({ skills: ['AWS', 'Kubernetes', 'Python'] }), true);
+        assert.equal(keep({ skills: ['AWS'] }), false);
+        assert.equal(keep({}), false);
+    });
+
+    test('is off without skills and rejects unknown ones', () => {
+        assert.equal(createSkillsFilter([]), null);
+        assert.equal(createSkillsFilter(undefined), null);
+        assert.throws(() => createSkillsFilter(['Basket weaving']), /skills_taxonomy/);
+    });
+
+    test('is composed into the record filter with the extended taxonomy', () => {
+        const skillTaxonomy = buildSkillTaxonomy({ Ghidra: [] });
+        const { recordFilter, descriptions } = createRecordFilter({ requiredSkills: ['Ghidra'], skillTaxonomy });
+        assert.deepEqual(descriptions, ['skills include Ghidra']);
+        assert.equal(recordFilter({ skills: ['Ghidra'] }), true);
+    });
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { before, describe, test } from 'node:test';
+
+import { log } from 'apify';
+
+import { ClientManager, retryDelays } from '../src/http.js';
+import { AdaptiveRateLimiter } from '../src/rate-limiter.js';
+import { classifyRecheck, JobTracker, recheckMissingJobs, trackingKeyFor } from '../src/tracking.js';
+import { json, startMockServer } from './helpers/mock-server.js';
+
+before(() => {
+    log.setLevel(log.LEVELS.OFF);
+    Object.assign(retryDelays, { rateLimitMs: 10, serverErrorMs: 10, networkErrorMs: 10 });
+});
+
+describe('trackingKeyFor', () => {
+    test('ignores param order', () => {
+        assert.equal(trackingKeyFor({ a: '1', b: '2' }), trackingKeyFor({ b: '2', a: '1' }));
+        assert.notEqual(trackingKeyFor({ a: '1' }), trackingKeyFor({ a: '2' }));
+    });
+});
+
+describe('classifyRecheck', () => {
+    test('maps detail responses to events', () => {
+        assert.equal(classifyRecheck({ httpStatus: 404 }), 'removed');
+        assert.equal(classifyRecheck({ httpStatus: 200, detail: { status: 'Expired' } }), 'expired');
+        assert.equal(classifyRecheck({ httpStatus: 200, detail: { status: 'active' } }), 'still_open');
+        assert.equal(classifyRecheck({ httpStatus: 503 }), null);
+        assert.equal(classifyRecheck({ httpStatus: null }), null);
+    });
+});
+
+describe('JobTracker', () => {
+    test('keeps first_seen across runs and finds missing ids', () => {
+        const first = new JobTracker(null, 'k', {}, new Date('2026-07-01T00:00:00Z'));
+        first.observe([{ id: 1, title: 'A' }, { id: 2, title: 'B' }]);
+
+        const second = new JobTracker(null, 'k', first.jobs, new Date('2026-07-05T00:00:00Z'));
+        second.observe([{ id: 1, title: 'A' }]);
+
+        assert.equal(second.jobs['1'].first_seen, '2026-07-01T00:00:00.000Z');
+        assert.equal(second.jobs['1'].last_seen, '2026-07-05T00:00:00.000Z');
+        assert.deepEqual(second.missingIds(), ['2']);
+
+        const event = second.resolve('2', 'expired', new Date('2026-07-05T00:00:00Z'));
+        assert.equal(event.event, 'expired');
+        assert.equal(event.job_id, 2);
+        assert.equal(event.days_open, 0);
+        assert.equal(second.jobs['2'], undefined);
+    });
+});
+
+describe('recheckMissingJobs', () => {
+    test('emits removed, expired and still_open events', async () => {
+        const server = await startMockServer({
+            'detail:11': json({ data: { id: 11, status: 'active' } }),
+            'detail:12': json({ data: { id: 12, status: 'expired' } }),
+        });
+        const seenAt = '2026-07-01T00:00:00.000Z';
+        const tracker = new JobTracker(null, 'k', {
+            10: { first_seen: seenAt, last_seen: seenAt, title: 'Gone' },
+            11: { first_seen: seenAt, last_seen: seenAt, title: 'Open' },
+            12: { first_seen: seenAt, last_seen: seenAt, title: 'Expired' },
+        });
+        const clientManager = new ClientManager(undefined, new AdaptiveRateLimiter({ maxRps: 200 }));
+        const events = await recheckMissingJobs(clientManager, tracker, { baseUrl: server.baseUrl });
+        await server.close();
+
+        assert.deepEqual(events.map((e) => [e.job_id, e.event]), [[10, 'removed'], [11, 'still_open'], [12, 'expired']]);
+        assert.deepEqual(Object.keys(tracker.jobs), ['11']);
+        assert.notEqual(tracker.jobs['11'].last_seen, seenAt);
+    });
+});